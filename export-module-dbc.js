@@ -2,12 +2,50 @@
 
 /**
  * Export DBCs from a specific module's dbc or dbc_source folder
- * Usage: node export-module-dbc.js [--module NAME] [--source SOURCE] [--dbc NAME] [--limit N]
+ * Usage: node export-module-dbc.js [--module NAME[,NAME...] | --all-modules] [--database-template TEMPLATE] [--source SOURCE] [--dbc NAME] [--limit N] [--out-sql PATH] [--backend sqlite --out PATH]
+ *        [--mpq DATA_DIR [--mpq-locale LOCALE]] [--history [--label TEXT]]
+ *        node export-module-dbc.js --snapshots | --as-of ID [--dbc NAME]
+ *        node export-module-dbc.js --world [--dbc NAME] [--ids ID,...] [--out-sql FILE | --world-database NAME]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
 const mysql = require('mysql2/promise');
+const {
+    loadConfig,
+    readSchemaFile,
+    loadModuleSchemas,
+    describeSchemaVersion,
+    loadEnums,
+    hasGeneratedEnums,
+    loadRelations,
+    loadWorldTables,
+    getModulePaths,
+    listModules,
+    databaseName,
+    openClientData,
+    listClientDbcs,
+    extractClientDbcs,
+    clientDbcFolder,
+    validateDbc,
+    diffDbcFiles,
+    jsonReplacer,
+    createSqlOutput,
+    mysqlBackend,
+    sqlFileBackend,
+    sqliteBackend,
+    writeDiffTable,
+    writeWorldTable,
+    watchDbcFolders,
+    sanitizeTableName,
+    describeSnapshot,
+    checkWorldMapping,
+    selectWorldRecords,
+    buildWorldTableSql,
+    exportFolder,
+    formatRate
+} = require('./lib');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -15,34 +53,97 @@ if (args.includes('--help') || args.includes('-h')) {
     console.log('Usage: node export-module-dbc.js [options]');
     console.log('');
     console.log('Options:');
-    console.log('  --module NAME    Module name (any module works - uses "module" from config.json if not specified)');
-    console.log('  --source TYPE    DBC source: "dbc" or "dbc_source" (default: both)');
+    console.log('  --module NAME    Module name (any module works - uses "module" from config.json if not specified);');
+    console.log('                   a comma-separated list exports several modules');
+    console.log('  --all-modules    Export every module with a datasets folder in tswowInstallPath/modules');
+    console.log('  --database-template TEMPLATE  Database names, with {module} and {source} (default: "databaseTemplate"');
+    console.log('                   from config.json, else "{source}" for one module and "{module}_{source}" for several)');
+    console.log('  --source TYPE    DBC source: "dbc", "dbc_source" or, with --mpq, "dbc_client" (default: all of them)');
+    console.log('  --mpq DATA_DIR   Also export the DBCs of a WoW client Data folder, read from its MPQ patch chain,');
+    console.log('                   into a dbc_client database');
+    console.log('  --mpq-locale LOCALE  Client locale folder, e.g. enUS (default: the only one in DATA_DIR)');
     console.log('  --dbc NAME       Export only this DBC file');
     console.log('  --ids ID,ID,...  Export only specific entry IDs (comma-separated)');
     console.log('  --limit N        Limit number of records per DBC');
+    console.log('  --all-locales    Export every locale of localized strings (Name_enUS ... Name_flags)');
+    console.log('  --no-unknown-fields  Drop bytes no schema field covers instead of exporting them as unk_<index> columns');
+    console.log('  --enums          Create _enum_<Name> lookup tables and <table>_decoded views with enum/flag names');
+    console.log('  --relations      Create a _dbc_relations table describing pointer fields between DBCs');
+    console.log('  --out-sql PATH   Write .sql files instead of connecting to MySQL');
+    console.log('                   (PATH ending in .sql = one combined file, otherwise a directory with one file per DBC)');
+    console.log('  --backend TYPE   "mysql" or "sqlite" (default: mysql)');
+    console.log('  --out PATH       SQLite output: PATH ending in .sqlite/.db = one file with dbc_/dbc_source_ table');
+    console.log('                   prefixes, otherwise a directory with dbc.sqlite and dbc_source.sqlite');
+    console.log('  --force          Re-export DBCs even if the file is unchanged since the last export');
+    console.log('  --upsert         Update only added, changed and removed rows of tables that already exist');
+    console.log('  --strict-schema  Fail instead of rebuilding tables exported with a different schema');
+    console.log('  --history        Record the export as a snapshot: rows that changed since the previous one are kept');
+    console.log('                   in <table>_history, and each snapshot in _snapshots (with the module\'s git commit)');
+    console.log('  --label TEXT     With --history, a label for the snapshot');
+    console.log('  --snapshots      List the snapshots of each database instead of exporting');
+    console.log('  --as-of ID       Rebuild each table with history as it was at snapshot ID, into <table>_as_of_<ID>');
+    console.log('  --watch          After exporting, keep running and re-export DBC files when they are rewritten');
+    console.log('  --debounce MS    With --watch, wait until writes have been quiet this long (default: 1000)');
     console.log('  --dry-run        Show what would be done without doing it');
+    console.log('  --skip-validation  Export DBCs even if they fail validation');
+    console.log('  --validate       Check DBC files against their schemas instead of exporting');
+    console.log('  --diff           Compare dbc against dbc_source by ID instead of exporting');
+    console.log('  --format TYPE    Diff output: "text", "json" or "mysql" (changes table of the dbc_diff database,');
+    console.log('                   named by the database template) (default: text)');
+    console.log('  --world          Write dbc rows into TrinityCore world tables (spell_dbc, ...) instead of exporting;');
+    console.log('                   rows added or changed since dbc_source, or the --ids rows (see dbc-world-tables.json)');
+    console.log('  --world-database NAME  World database for --world (uses "worldDatabase" from config.json if not specified)');
     console.log('  --help           Show this help');
     console.log('');
     console.log('Examples:');
     console.log('  node export-module-dbc.js');
     console.log('  node export-module-dbc.js --module default');
     console.log('  node export-module-dbc.js --module cow-level --source dbc');
+    console.log('  node export-module-dbc.js --module default,cow-level --source dbc');
+    console.log('  node export-module-dbc.js --all-modules --database-template "{module}_{source}"');
     console.log('  node export-module-dbc.js --dbc Spell --ids 80902,133,1449');
     console.log('  node export-module-dbc.js --module my-custom-module --dbc Spell');
+    console.log('  node export-module-dbc.js --out-sql ./sql');
+    console.log('  node export-module-dbc.js --dbc Spell --out-sql spell.sql');
+    console.log('  node export-module-dbc.js --backend sqlite --out dbcs.sqlite');
+    console.log('  node export-module-dbc.js --source dbc --watch');
+    console.log('  node export-module-dbc.js --history --label "before rebalance"');
+    console.log('  node export-module-dbc.js --snapshots --source dbc');
+    console.log('  node export-module-dbc.js --as-of 3 --dbc Spell');
+    console.log('  node export-module-dbc.js --mpq "C:/WoW 3.3.5a/Data"');
+    console.log('  node export-module-dbc.js --mpq "C:/WoW 3.3.5a/Data" --source dbc_client --dbc Spell');
+    console.log('  node export-module-dbc.js --validate --source dbc');
+    console.log('  node export-module-dbc.js --diff --dbc Spell');
+    console.log('  node export-module-dbc.js --diff --format json > changes.json');
+    console.log('  node export-module-dbc.js --world --out-sql world_dbc.sql');
+    console.log('  node export-module-dbc.js --world --dbc Spell --ids 80902 --world-database world');
     process.exit(0);
 }
 
+// The library's loaders throw on missing files; report them like the other CLI errors
+function loadOrExit(load) {
+    try {
+        return load();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        if (error.hint) console.error(error.hint);
+        process.exit(1);
+    }
+}
+
 // Load config first to get default module
-const configPath = path.join(__dirname, 'config.json');
-if (!fs.existsSync(configPath)) {
-    console.error('Error: config.json not found!');
-    console.error('Copy config.example.json to config.json and update settings.');
+const mainConfig = loadOrExit(() => loadConfig());
+
+const moduleOption = args.indexOf('--module') !== -1 ? args[args.indexOf('--module') + 1] : mainConfig.module;
+if (!args.includes('--all-modules') && !moduleOption) {
+    console.error('Error: No module given; pass --module NAME or set "module" in config.json');
     process.exit(1);
 }
 
-const mainConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-
-const moduleName = args.indexOf('--module') !== -1 ? args[args.indexOf('--module') + 1] : mainConfig.module;
+const moduleNames = args.includes('--all-modules')
+    ? listModules(mainConfig)
+    : moduleOption.split(',').map(name => name.trim()).filter(Boolean);
+const moduleName = moduleNames[0];
 const sourceType = args.indexOf('--source') !== -1 ? args[args.indexOf('--source') + 1] : 'both';
 const singleDbc = args.indexOf('--dbc') !== -1 ? args[args.indexOf('--dbc') + 1] : null;
 const limitIndex = args.indexOf('--limit');
@@ -50,251 +151,591 @@ const limit = limitIndex !== -1 && args[limitIndex + 1] ? parseInt(args[limitInd
 const idsIndex = args.indexOf('--ids');
 const filterIds = idsIndex !== -1 && args[idsIndex + 1] ? args[idsIndex + 1].split(',').map(id => parseInt(id.trim())) : null;
 const dryRun = args.includes('--dry-run');
+const allLocales = args.includes('--all-locales');
+const unknownFields = !args.includes('--no-unknown-fields');
+const decodeEnums = args.includes('--enums');
+const writeRelations = args.includes('--relations');
+const outSql = args.indexOf('--out-sql') !== -1 ? args[args.indexOf('--out-sql') + 1] : null;
+const backendName = args.indexOf('--backend') !== -1 ? args[args.indexOf('--backend') + 1] : 'mysql';
+const outPath = args.indexOf('--out') !== -1 ? args[args.indexOf('--out') + 1] : null;
+const force = args.includes('--force');
+const upsertRows = args.includes('--upsert');
+const strictSchema = args.includes('--strict-schema');
+const skipValidation = args.includes('--skip-validation');
+const validateMode = args.includes('--validate');
+const diffMode = args.includes('--diff');
+const diffFormat = args.indexOf('--format') !== -1 ? args[args.indexOf('--format') + 1] : 'text';
+const worldMode = args.includes('--world');
+const watchMode = args.includes('--watch');
+const debounceIndex = args.indexOf('--debounce');
+const debounceMs = debounceIndex !== -1 && args[debounceIndex + 1] ? parseInt(args[debounceIndex + 1]) : 1000;
+const databaseTemplate = args.indexOf('--database-template') !== -1
+    ? args[args.indexOf('--database-template') + 1]
+    : mainConfig.databaseTemplate || (moduleNames.length > 1 ? '{module}_{source}' : '{source}');
+const mpqPath = args.indexOf('--mpq') !== -1 ? args[args.indexOf('--mpq') + 1] : null;
+const mpqLocale = args.indexOf('--mpq-locale') !== -1 ? args[args.indexOf('--mpq-locale') + 1] : null;
+const historyMode = args.includes('--history');
+const snapshotLabel = args.indexOf('--label') !== -1 ? args[args.indexOf('--label') + 1] : null;
+const snapshotsMode = args.includes('--snapshots');
+const asOfIndex = args.indexOf('--as-of');
+const asOfSnapshot = asOfIndex !== -1 ? Number(args[asOfIndex + 1]) : null;
+const worldDatabase = args.indexOf('--world-database') !== -1 ? args[args.indexOf('--world-database') + 1] : mainConfig.worldDatabase;
 
 // Validate source type
-if (!['dbc', 'dbc_source', 'both'].includes(sourceType)) {
-    console.error('Error: --source must be "dbc", "dbc_source", or "both"');
+if (!['dbc', 'dbc_source', 'dbc_client', 'both'].includes(sourceType)) {
+    console.error('Error: --source must be "dbc", "dbc_source", "dbc_client", or "both"');
+    process.exit(1);
+}
+
+if (sourceType === 'dbc_client' && !mpqPath && !snapshotsMode && asOfSnapshot === null) {
+    console.error('Error: --source dbc_client needs --mpq DATA_DIR (the client\'s Data folder)');
+    process.exit(1);
+}
+
+if (mpqPath && (validateMode || diffMode || worldMode)) {
+    console.error('Error: --mpq only applies to exports; it cannot be combined with --validate, --diff or --world');
+    process.exit(1);
+}
+
+if ((snapshotsMode || asOfSnapshot !== null) && [validateMode, diffMode, worldMode, snapshotsMode, asOfSnapshot !== null].filter(Boolean).length > 1) {
+    console.error('Error: --validate, --diff, --world, --snapshots and --as-of are separate commands; pick one');
+    process.exit(1);
+}
+
+if (historyMode && (outSql || validateMode || diffMode || worldMode || snapshotsMode || asOfSnapshot !== null)) {
+    console.error('Error: --history exports to MySQL or SQLite; it cannot be combined with --out-sql, --validate, --diff, --world, --snapshots or --as-of');
+    process.exit(1);
+}
+
+// A partial export would look like every other row was removed
+if (historyMode && (filterIds || limit)) {
+    console.error('Error: --history records whole tables; it cannot be combined with --ids or --limit');
+    process.exit(1);
+}
+
+if (snapshotLabel !== null && !historyMode) {
+    console.error('Error: --label applies to --history exports');
+    process.exit(1);
+}
+
+if (asOfSnapshot !== null && !(Number.isInteger(asOfSnapshot) && asOfSnapshot > 0)) {
+    console.error('Error: --as-of must be a snapshot id (see --snapshots)');
+    process.exit(1);
+}
+
+if ((snapshotsMode || asOfSnapshot !== null) && (outSql || dryRun)) {
+    console.error('Error: --snapshots and --as-of read a MySQL or SQLite database; they cannot be combined with --out-sql or --dry-run');
+    process.exit(1);
+}
+
+if (!['mysql', 'sqlite'].includes(backendName)) {
+    console.error('Error: --backend must be "mysql" or "sqlite"');
+    process.exit(1);
+}
+
+if (backendName === 'sqlite' && (!outPath || outSql)) {
+    console.error('Error: --backend sqlite needs --out PATH and cannot be combined with --out-sql');
+    process.exit(1);
+}
+
+if (moduleNames.length === 0) {
+    console.error('Error: No modules found');
+    process.exit(1);
+}
+
+if (moduleNames.length > 1 && (validateMode || diffMode || worldMode)) {
+    console.error('Error: --validate, --diff and --world take a single module');
+    process.exit(1);
+}
+
+// Every module would otherwise write into the same dbc/dbc_source databases
+if (moduleNames.length > 1 && !databaseTemplate.includes('{module}')) {
+    console.error(`Error: exporting several modules needs a database template with {module} (got "${databaseTemplate}")`);
+    process.exit(1);
+}
+
+if (watchMode && (outSql || dryRun || validateMode || diffMode || worldMode)) {
+    console.error('Error: --watch exports to MySQL or SQLite; it cannot be combined with --out-sql, --dry-run, --validate, --diff or --world');
+    process.exit(1);
+}
+
+if (watchMode && !(debounceMs >= 0)) {
+    console.error('Error: --debounce must be a number of milliseconds');
     process.exit(1);
 }
 
-// Load schemas
-const schemaPath = path.join(__dirname, 'dbc-schemas.json');
-if (!fs.existsSync(schemaPath)) {
-    console.error('Error: dbc-schemas.json not found!');
-    console.error('Run: node parse-tswow-schemas.js');
+if (diffMode && !['text', 'json', 'mysql'].includes(diffFormat)) {
+    console.error('Error: --format must be "text", "json", or "mysql"');
     process.exit(1);
 }
 
-const schemas = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+const { schemas: baseSchemas, meta: schemaMeta } = loadOrExit(() => readSchemaFile());
 const config = mainConfig.mysql;
+const enums = decodeEnums ? loadOrExit(() => loadEnums()) : null;
+if (decodeEnums && !hasGeneratedEnums()) {
+    console.warn('Warning: dbc-enums.json not found - only the stock enums of dbc-stock-enums.json are decoded. Run: node parse-tswow-schemas.js');
+}
+const relationOverrides = loadRelations();
 
 // Build paths (supports any module name)
-const tswowInstallPath = mainConfig.tswowInstallPath || path.join(__dirname, '..', '..');
-const moduleBasePath = path.join(__dirname, tswowInstallPath, 'modules', moduleName, 'datasets', 'dataset');
-const dbcPath = path.join(moduleBasePath, 'dbc');
-const dbcSourcePath = path.join(moduleBasePath, 'dbc_source');
-
-// Check module exists
-if (!fs.existsSync(moduleBasePath)) {
-    console.error(`Error: Module "${moduleName}" not found at: ${moduleBasePath}`);
-    console.error('Any module name works - all modules have the same internal structure.');
-    process.exit(1);
+const { dbcPath, dbcSourcePath } = getModulePaths(mainConfig, moduleName);
+
+// Check modules exist
+for (const name of moduleNames) {
+    const { moduleBasePath } = getModulePaths(mainConfig, name);
+    if (!fs.existsSync(moduleBasePath)) {
+        console.error(`Error: Module "${name}" not found at: ${moduleBasePath}`);
+        console.error('Any module name works - all modules have the same internal structure.');
+        process.exit(1);
+    }
+}
+
+// dbc-schemas.json plus each module's datascript definitions and dbc-schemas.override.json
+const moduleSchemas = {};
+for (const name of moduleNames) moduleSchemas[name] = loadOrExit(() => loadModuleSchemas(mainConfig, name, baseSchemas));
+const { schemas } = moduleSchemas[moduleName];
+
+// Names of the .dbc files in a folder
+function listDbcFiles(folder) {
+    return fs.readdirSync(folder).filter(file => path.extname(file).toLowerCase() === '.dbc').map(file => path.basename(file, path.extname(file)));
 }
 
-// Import the exporter logic from export-to-mysql-schema.js
-function readDbc(dbcFilePath, schema) {
-    const buffer = fs.readFileSync(dbcFilePath);
+// Options passed to the library's export functions
+const exportOptions = {
+    filterIds,
+    limit,
+    allLocales,
+    unknownFields,
+    enums,
+    relations: writeRelations,
+    relationOverrides,
+    dryRun,
+    force,
+    upsert: upsertRows,
+    skipValidation,
+    schemaMeta,
+    strictSchema
+};
+
+async function validateMain() {
+    const folders = [];
+    if (sourceType === 'dbc' || sourceType === 'both') folders.push({ name: 'dbc', folder: dbcPath });
+    if (sourceType === 'dbc_source' || sourceType === 'both') folders.push({ name: 'dbc_source', folder: dbcSourcePath });
+
+    if (singleDbc && !schemas[singleDbc]) {
+        console.error(`Error: No schema found for ${singleDbc}`);
+        process.exit(1);
+    }
+    const dbcFiles = singleDbc ? [singleDbc] : Object.keys(schemas).sort();
+
+    console.log('=== Module DBC Validation ===\n');
+    console.log(`Module: ${moduleName}`);
+
+    let checked = 0;
+    let failed = 0;
+    for (const { name, folder } of folders) {
+        for (const dbcName of dbcFiles) {
+            const dbcFilePath = path.join(folder, `${dbcName}.dbc`);
+            if (!fs.existsSync(dbcFilePath)) continue;
+
+            checked++;
+            const result = validateDbc(dbcFilePath, schemas[dbcName]);
+            if (result.errors.length > 0) failed++;
+            if (result.errors.length === 0 && result.warnings.length === 0) continue;
+
+            console.log(`\n${result.errors.length > 0 ? '✗' : '!'} ${name}.${dbcName}`);
+            result.errors.forEach(error => console.log(`    Error: ${error}`));
+            result.warnings.forEach(warning => console.log(`    Warning: ${warning}`));
+        }
+    }
+
+    console.log(`\nChecked: ${checked}, passed: ${checked - failed}, failed: ${failed}`);
+    if (failed > 0) process.exit(1);
+}
 
-    const header = buffer.toString('ascii', 0, 4);
-    if (header !== 'WDBC') throw new Error(`Invalid DBC header: ${header}`);
+function formatDiffValue(value) {
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
 
-    const recordCount = buffer.readInt32LE(4);
-    const fieldCount = buffer.readUInt32LE(8);
-    const recordSize = buffer.readInt32LE(12);
-    const stringSize = buffer.readInt32LE(16);
+function printDiffText(diffs) {
+    for (const [dbcName, diff] of Object.entries(diffs)) {
+        console.log(`\n=== ${dbcName}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed ===`);
+        // DBCs without an ID field are compared by row position
+        const byRow = diff.keyedBy === 'row';
+        if (diff.added.length > 0) console.log(`  + Added ${byRow ? 'rows' : 'IDs'}: ${diff.added.join(', ')}`);
+        if (diff.removed.length > 0) console.log(`  - Removed ${byRow ? 'rows' : 'IDs'}: ${diff.removed.join(', ')}`);
+        for (const change of diff.changed) {
+            console.log(`  ~ ${byRow ? `row ${change.ID}` : change.ID}`);
+            for (const [column, values] of Object.entries(change.fields)) {
+                console.log(`      ${column}: ${formatDiffValue(values.old)} → ${formatDiffValue(values.new)}`);
+            }
+        }
+    }
+}
 
-    const dataStart = 20;
-    const stringTableStart = dataStart + (recordCount * recordSize);
+async function writeDiffTables(diffs) {
+    // dbc_diff is a source of its own, so each module's diff gets its own database with a {module} template
+    const database = databaseName(databaseTemplate, moduleName, 'dbc_diff');
+    console.log(`Connecting to MySQL at ${config.host}:${config.port}...`);
+    const configWithoutDb = { ...config };
+    delete configWithoutDb.database;
+    const connection = await mysql.createConnection(configWithoutDb);
 
-    function readString(offset) {
-        if (offset === 0) return '';
-        const start = stringTableStart + offset;
-        let end = start;
-        while (end < buffer.length && buffer[end] !== 0) end++;
-        return buffer.toString('utf8', start, end);
+    try {
+        await connection.query(`CREATE DATABASE IF NOT EXISTS ${database}`);
+        await connection.query(`USE ${database}`);
+        const rows = await writeDiffTable(connection, diffs);
+        console.log(`✓ Wrote ${rows} rows to ${database}.changes`);
+    } finally {
+        await connection.end();
     }
+}
 
-    function readFieldValue(recordOffset, byteOffset, fieldType) {
-        const offset = recordOffset + byteOffset;
-        if (fieldType === 'float') return buffer.readFloatLE(offset);
-        if (fieldType === 'string') return readString(buffer.readInt32LE(offset));
-        if (fieldType === 'ulong') return Number(buffer.readBigUInt64LE(offset));
-        if (fieldType === 'byte') return buffer.readUInt8(offset);
-        return buffer.readInt32LE(offset);
+async function diffMain() {
+    const dbcFiles = singleDbc ? [singleDbc] : Object.keys(schemas).sort();
+    if (singleDbc && !schemas[singleDbc]) {
+        console.error(`Error: No schema found for ${singleDbc}`);
+        process.exit(1);
     }
 
-    const records = [];
-    const actualLimit = limit !== null ? Math.min(limit, recordCount) : recordCount;
-    
-    for (let i = 0; i < actualLimit; i++) {
-        const recordOffset = dataStart + (i * recordSize);
-        const record = {};
-
-        for (const field of schema.fields) {
-            if (field.isArray) {
-                const values = [];
-                for (let j = 0; j < field.count; j++) {
-                    const byteOffset = field.offset + (j * field.bytesPerField);
-                    values.push(readFieldValue(recordOffset, byteOffset, field.type));
-                }
-                
-                if (field.type === 'string' && field.count > 1) {
-                    record[field.name] = values[0];
-                } else {
-                    for (let j = 0; j < field.count; j++) {
-                        record[`${field.name}_${j + 1}`] = values[j];
-                    }
-                }
-            } else {
-                record[field.name] = readFieldValue(recordOffset, field.offset, field.type);
+    const diffs = {};
+    let unchanged = 0;
+    for (const dbcName of dbcFiles) {
+        try {
+            const diff = diffDbcFiles(path.join(dbcSourcePath, `${dbcName}.dbc`), path.join(dbcPath, `${dbcName}.dbc`), schemas[dbcName], filterIds);
+            if (!diff) continue;
+            if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+                unchanged++;
+                continue;
             }
+            diffs[dbcName] = diff;
+        } catch (error) {
+            console.error(`[${dbcName}] ✗ Error:`, error.message);
+        }
+    }
+
+    if (diffFormat === 'json') {
+        console.log(JSON.stringify({ module: moduleName, dbcs: diffs }, jsonReplacer, 2));
+        return;
+    }
+
+    console.log('=== Module DBC Diff (dbc_source → dbc) ===\n');
+    console.log(`Module: ${moduleName}`);
+    if (diffFormat === 'mysql') {
+        await writeDiffTables(diffs);
+    } else {
+        printDiffText(diffs);
+    }
+    console.log(`\nChanged DBCs: ${Object.keys(diffs).length}, unchanged: ${unchanged}`);
+}
+
+/**
+ * Writes the module's dbc rows into TrinityCore's world-database DBC override
+ * tables, as a TrinityCore-style .sql update file or straight into the database
+ */
+async function worldMain() {
+    const worldTables = loadOrExit(() => loadWorldTables());
+    if (singleDbc && !worldTables[singleDbc]) {
+        console.error(`Error: ${singleDbc} has no TrinityCore world table in dbc-world-tables.json`);
+        process.exit(1);
+    }
+    if (!outSql && !dryRun && !worldDatabase) {
+        console.error('Error: --world needs --out-sql FILE, --world-database NAME or "worldDatabase" in config.json');
+        process.exit(1);
+    }
+    const dbcNames = singleDbc ? [singleDbc] : Object.keys(worldTables).sort();
+
+    console.log('=== Module DBC World Table Export ===\n');
+    console.log(`Module: ${moduleName}`);
+    console.log(`Rows: ${filterIds ? `IDs ${filterIds.join(', ')}` : 'added or changed since dbc_source'}`);
+    if (dryRun) console.log('*** DRY RUN MODE ***');
+    console.log('');
+
+    const tables = [];
+    for (const dbcName of dbcNames) {
+        const mapping = worldTables[dbcName];
+        const schema = schemas[dbcName];
+        if (!schema) {
+            console.error(`[${dbcName}] ✗ Error: No schema found`);
+            continue;
+        }
+        const missing = checkWorldMapping(mapping, schema);
+        if (missing.length > 0) {
+            console.error(`[${dbcName}] ✗ Error: dbc-world-tables.json maps unknown columns: ${missing.join(', ')}`);
+            continue;
+        }
+
+        const dbcFilePath = path.join(dbcPath, `${dbcName}.dbc`);
+        const dbcSourceFilePath = path.join(dbcSourcePath, `${dbcName}.dbc`);
+        if (!fs.existsSync(dbcFilePath)) continue;
+
+        const selection = selectWorldRecords(mapping, schema, dbcFilePath, fs.existsSync(dbcSourceFilePath) ? dbcSourceFilePath : null, filterIds);
+        if (selection.records.length === 0) continue;
+
+        console.log(`[${dbcName}] → ${mapping.table}: ${selection.records.length} rows (${selection.added.length} added, ${selection.changed.length} changed)`);
+        if (selection.unmapped.length > 0) {
+            console.log(`    ! Changed columns ${mapping.table} can't hold (the client DBC still needs them): ${selection.unmapped.join(', ')}`);
+        }
+        let statements;
+        try {
+            statements = buildWorldTableSql(mapping, selection.records);
+        } catch (error) {
+            console.error(`[${dbcName}] ✗ Error: ${error.message}`);
+            continue;
         }
-        
-        records.push(record);
+        tables.push({ dbcName, mapping, statements, rows: selection.records.length });
+    }
+
+    const totalRows = tables.reduce((sum, table) => sum + table.rows, 0);
+    console.log(`\nWorld tables: ${tables.length}, rows: ${totalRows}`);
+    if (dryRun || tables.length === 0) return;
+
+    if (outSql) {
+        const sections = tables.map(table => `-- ${table.dbcName}.dbc → ${table.mapping.table}\n${table.statements.join('\n')}\n`);
+        fs.mkdirSync(path.dirname(path.resolve(outSql)), { recursive: true });
+        fs.writeFileSync(outSql, `-- Generated by export-module-dbc.js --world (module: ${moduleName})\nSET NAMES utf8mb4;\n\n${sections.join('\n')}`);
+        console.log(`✓ Wrote ${path.resolve(outSql)}`);
+        return;
     }
 
-    return {
-        metadata: { recordCount, fieldCount, recordSize, stringSize, recordsShown: records.length },
-        records
-    };
+    console.log(`Connecting to MySQL at ${config.host}:${config.port}...`);
+    const configWithoutDb = { ...config };
+    delete configWithoutDb.database;
+    const connection = await mysql.createConnection({ ...configWithoutDb, database: worldDatabase });
+
+    try {
+        for (const table of tables) {
+            await writeWorldTable(connection, table.statements);
+            console.log(`✓ ${worldDatabase}.${table.mapping.table}: ${table.rows} rows`);
+        }
+    } finally {
+        await connection.end();
+    }
 }
 
-function sanitizeTableName(name) {
-    return name.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+// One line per re-exported file for the --watch summary
+function describeWatchResult(result) {
+    const name = `${result.database}.${result.dbcName}`;
+    if (!result.success) return `  ✗ ${name}: ${result.error || 'Unknown error'}`;
+    if (result.skipped) return `  ${name}: unchanged`;
+    if (result.added !== undefined) return `  ${name}: ${result.added} added, ${result.removed} removed, ${result.changed} changed`;
+    return `  ${name}: ${result.records} rows (table rebuilt)`;
 }
 
-function sanitizeColumnName(name) {
-    const reserved = ['order', 'group', 'desc', 'key', 'name', 'type', 'index', 'range'];
-    const sanitized = name.replace(/[^a-zA-Z0-9_]/g, '_');
-    return reserved.includes(sanitized.toLowerCase()) ? `\`${sanitized}\`` : sanitized;
+/**
+ * Re-exports DBC files whenever TSWoW rewrites them, reusing the backend (and
+ * its connection) of the initial export. Changed rows are upserted.
+ */
+function watchSources(backend, allSources) {
+    // The client's DBCs are extracted once; only the module folders change
+    const sources = allSources.filter(source => !source.client);
+    const watcher = watchDbcFolders(sources, async batch => {
+        const results = [];
+        for (const source of sources) {
+            const dbcNames = batch.filter(file => file.source === source && (!singleDbc || file.dbcName === singleDbc)).map(file => file.dbcName);
+            if (dbcNames.length === 0) continue;
+
+            results.push(...await exportFolder(backend, source.schemas, dbcNames, source.folder, source.database, { ...exportOptions, history: snapshotInfo(source), relations: false, upsert: true }));
+        }
+        if (results.length === 0) return;
+
+        console.log(`\n[${new Date().toLocaleTimeString()}] Re-exported ${results.length} DBC file${results.length === 1 ? '' : 's'}:`);
+        results.forEach(result => console.log(describeWatchResult(result)));
+    }, { debounceMs });
+
+    console.log(`\nWatching ${sources.map(source => source.folder).join(', ')} (Ctrl+C to stop)`);
+    process.on('SIGINT', async () => {
+        console.log('\nStopping...');
+        await watcher.close();
+        await backend.close();
+        process.exit(0);
+    });
 }
 
-function createTableSchema(tableName, schema) {
-    const columns = [];
-    
-    for (const field of schema.fields) {
-        const colName = sanitizeColumnName(field.name);
-        
-        if (field.name === 'ID') {
-            columns.push(`${colName} INT PRIMARY KEY`);
-        } else if (field.isArray) {
-            if (field.type === 'string' && field.count > 1) {
-                columns.push(`${colName} TEXT`);
-            } else {
-                for (let i = 0; i < field.count; i++) {
-                    const arrayColName = sanitizeColumnName(`${field.name}_${i + 1}`);
-                    if (field.type === 'float') {
-                        columns.push(`${arrayColName} FLOAT`);
-                    } else if (field.type === 'byte') {
-                        columns.push(`${arrayColName} TINYINT UNSIGNED`);
-                    } else {
-                        columns.push(`${arrayColName} INT`);
-                    }
-                }
-            }
-        } else if (field.type === 'float') {
-            columns.push(`${colName} FLOAT`);
-        } else if (field.type === 'string') {
-            columns.push(`${colName} TEXT`);
-        } else if (field.type === 'ulong') {
-            columns.push(`${colName} BIGINT UNSIGNED`);
-        } else if (field.type === 'byte') {
-            columns.push(`${colName} TINYINT UNSIGNED`);
-        } else {
-            columns.push(`${colName} INT`);
+// HEAD of the git repository a module lives in, or null when it is not one
+const moduleCommits = new Map();
+function moduleCommit(name) {
+    if (!moduleCommits.has(name)) {
+        const moduleRoot = path.join(getModulePaths(mainConfig, name).moduleBasePath, '..', '..');
+        try {
+            moduleCommits.set(name, execFileSync('git', ['rev-parse', 'HEAD'], { cwd: moduleRoot, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim());
+        } catch (error) {
+            moduleCommits.set(name, null);
         }
     }
+    return moduleCommits.get(name);
+}
 
-    return `CREATE TABLE IF NOT EXISTS ${tableName} (\n  ${columns.join(',\n  ')}\n) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+// The _snapshots row a --history export of a source records, or null without --history
+function snapshotInfo(source) {
+    if (!historyMode) return null;
+    return { label: snapshotLabel, module: source.module, moduleCommit: moduleCommit(source.module) };
 }
 
-async function exportDbc(connection, dbcName, schema, dbcFolder, database, filterIds = null) {
-    const dbcFilePath = path.join(dbcFolder, `${dbcName}.dbc`);
-    
-    if (!fs.existsSync(dbcFilePath)) {
-        return { dbcName, success: false, error: `File not found: ${dbcFilePath}`, database };
+/**
+ * Extracts the client's DBCs from the --mpq Data folder into a temp folder
+ * and describes it as the dbc_client source
+ */
+function clientSource(sourceSchemas) {
+    let client;
+    try {
+        client = openClientData(mpqPath, mpqLocale);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        if (error.hint) console.error(error.hint);
+        process.exit(1);
     }
 
-    console.log(`\n[${database}.${dbcName}] Reading DBC file...`);
-    
     try {
-        let data = readDbc(dbcFilePath, schema);
-        const tableName = sanitizeTableName(dbcName);
-        
-        // Filter by IDs if specified
-        if (filterIds && filterIds.length > 0) {
-            const originalCount = data.records.length;
-            data.records = data.records.filter(record => filterIds.includes(record.ID));
-            console.log(`[${database}.${dbcName}] Filtered ${originalCount} records to ${data.records.length} matching IDs: ${filterIds.join(', ')}`);
+        const folder = clientDbcFolder(mpqPath, client);
+        const wanted = singleDbc ? [singleDbc] : [...listClientDbcs(client), ...Object.keys(sourceSchemas)];
+        const extracted = extractClientDbcs(client, folder, wanted);
+
+        console.log(`Client: ${path.resolve(mpqPath)} (${client.locale}, ${client.archives.length} MPQ archives)`);
+        const byArchive = new Map();
+        extracted.forEach(({ archive }) => byArchive.set(archive, (byArchive.get(archive) || 0) + 1));
+        console.log(`Client DBCs: ${extracted.length} (${[...byArchive].map(([archive, count]) => `${count} from ${archive}`).join(', ') || 'none found'})`);
+
+        return {
+            folder,
+            database: databaseName(databaseTemplate, moduleName, 'dbc_client'),
+            name: 'dbc_client',
+            module: moduleName,
+            schemas: sourceSchemas,
+            dbcNames: extracted.map(file => file.dbcName),
+            client: true
+        };
+    } catch (error) {
+        console.error(`Error: Reading ${mpqPath}: ${error.message}`);
+        process.exit(1);
+    } finally {
+        client.close();
+    }
+}
+
+// Connect to MySQL, or write .sql files / SQLite databases instead; null with --dry-run
+async function connectBackend() {
+    if (outSql) {
+        console.log(`\nWriting SQL to: ${path.resolve(outSql)}`);
+        return dryRun ? null : sqlFileBackend(createSqlOutput(outSql, moduleNames.join(', ')));
+    }
+    if (backendName === 'sqlite') {
+        console.log(`\nWriting SQLite to: ${path.resolve(outPath)}`);
+        return dryRun ? null : sqliteBackend(outPath);
+    }
+    try {
+        console.log(`\nConnecting to MySQL at ${config.host}:${config.port}...`);
+        const configWithoutDb = { ...config };
+        delete configWithoutDb.database;
+        // Keep BIGINT UNSIGNED values exact when rows are read back for --upsert
+        const connection = await mysql.createConnection({ ...configWithoutDb, supportBigNumbers: true, bigNumberStrings: true });
+        console.log('Connected to MySQL');
+        return mysqlBackend(connection);
+    } catch (error) {
+        console.error('Failed to connect to MySQL:', error.message);
+        process.exit(1);
+    }
+}
+
+// The databases --snapshots and --as-of look at: each module's sources, and the client's with --mpq
+function historyDatabases() {
+    const sourceNames = sourceType === 'both' ? ['dbc', 'dbc_source', ...(mpqPath ? ['dbc_client'] : [])] : [sourceType];
+    const databases = [];
+    for (const name of moduleNames) {
+        for (const sourceName of sourceNames) {
+            // The client database is shared by every module (see main)
+            if (sourceName === 'dbc_client' && name !== moduleName) continue;
+            databases.push(databaseName(databaseTemplate, name, sourceName));
         }
-        
-        console.log(`[${database}.${dbcName}] Records: ${data.metadata.recordCount}, Fields: ${schema.fields.length}`);
-        console.log(`[${database}.${dbcName}] Exporting ${data.records.length} records to table: ${tableName}`);
+    }
+    return databases;
+}
 
-        if (dryRun) {
-            console.log(`[${database}.${dbcName}] DRY RUN - would create table and insert ${data.records.length} records`);
-            return { dbcName, success: true, records: data.records.length, database };
+async function snapshotsMain() {
+    const backend = await connectBackend();
+    try {
+        for (const database of historyDatabases()) {
+            await backend.useDatabase(database);
+            const snapshots = await backend.listSnapshots();
+            console.log(`\n${database}: ${snapshots.length === 0 ? 'no snapshots (export with --history)' : `${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}`}`);
+            snapshots.forEach(snapshot => console.log(`  ${describeSnapshot(snapshot)}`));
         }
+    } finally {
+        await backend.close();
+    }
+}
 
-        const createTableSql = createTableSchema(tableName, schema);
-        await connection.execute(`DROP TABLE IF EXISTS ${tableName}`);
-        await connection.execute(createTableSql);
-        console.log(`[${database}.${dbcName}] Table created`);
-
-        const batchSize = 1000;
-        let inserted = 0;
-
-        for (let i = 0; i < data.records.length; i += batchSize) {
-            const batch = data.records.slice(i, i + batchSize);
-            
-            for (const record of batch) {
-                const fields = Object.keys(record).map(sanitizeColumnName);
-                const values = Object.values(record);
-                
-                const placeholders = fields.map(() => '?').join(', ');
-                const insertSql = `INSERT INTO ${tableName} (${fields.join(', ')}) VALUES (${placeholders})`;
-                
-                try {
-                    await connection.execute(insertSql, values);
-                    inserted++;
-                } catch (err) {
-                    if (err.code !== 'ER_DUP_ENTRY') {
-                        console.error(`[${database}.${dbcName}] Insert error for record ${record.ID}:`, err.code, err.message, err.sqlMessage || '');
-                        // Log the problematic record for debugging
-                        if (process.env.DEBUG_EXPORT) {
-                            console.error('Problematic record:', JSON.stringify(record).substring(0, 200));
-                        }
+/**
+ * Rebuilds the tables of each database as they were at the --as-of snapshot,
+ * from their <table>_history tables
+ */
+async function asOfMain() {
+    const backend = await connectBackend();
+    let failed = false;
+    try {
+        for (const database of historyDatabases()) {
+            const exportState = await backend.useDatabase(database);
+            const snapshot = (await backend.listSnapshots()).find(row => Number(row.id) === asOfSnapshot);
+            if (!snapshot) {
+                console.error(`\n${database}: no snapshot ${asOfSnapshot} (see --snapshots)`);
+                failed = true;
+                continue;
+            }
+            console.log(`\n${database}: as of snapshot ${describeSnapshot(snapshot)}`);
+
+            const dbcNames = singleDbc ? [singleDbc] : [...exportState.keys()].sort();
+            let rebuilt = 0;
+            for (const dbcName of dbcNames) {
+                const result = await backend.rebuildAsOf(sanitizeTableName(dbcName), asOfSnapshot);
+                if (!result) {
+                    if (singleDbc) {
+                        console.error(`  ✗ ${dbcName}: no history (export it with --history)`);
+                        failed = true;
                     }
+                    continue;
                 }
+                rebuilt++;
+                console.log(`  ✓ ${result.tableName}: ${result.rows} rows`);
             }
-
-            if (batch.length > 0) {
-                const progress = Math.min(i + batchSize, data.records.length);
-                process.stdout.write(`\r[${database}.${dbcName}] Inserted ${progress}/${data.records.length} records...`);
-            }
+            if (!singleDbc && rebuilt === 0) console.log('  No tables with history');
         }
-
-        console.log(`\n[${database}.${dbcName}] ✓ Complete - ${inserted} records inserted`);
-        return { dbcName, success: true, records: inserted, database };
-
-    } catch (error) {
-        console.error(`[${database}.${dbcName}] ✗ Error:`, error.message);
-        return { dbcName, success: false, error: error.message, database };
+    } finally {
+        await backend.close();
     }
+    if (failed) process.exit(1);
 }
 
 async function main() {
     console.log('=== Module DBC Export Tool ===\n');
-    console.log(`Module: ${moduleName}`);
+    console.log(`Module${moduleNames.length > 1 ? 's' : ''}: ${moduleNames.join(', ')}`);
     console.log(`Source: ${sourceType}`);
+    console.log(`Schema: ${describeSchemaVersion(schemaMeta.version, schemaMeta.sourceCommit)}`);
     
     if (dryRun) console.log('*** DRY RUN MODE ***\n');
 
-    // Determine which sources to export
+    // Determine which sources to export, per module
     const sources = [];
-    if (sourceType === 'dbc' || sourceType === 'both') {
-        if (fs.existsSync(dbcPath)) {
-            sources.push({ folder: dbcPath, database: 'dbc', name: 'dbc' });
-        } else {
-            console.log(`Warning: dbc folder not found: ${dbcPath}`);
+    for (const name of moduleNames) {
+        const modulePaths = getModulePaths(mainConfig, name);
+        const folders = [];
+        if (sourceType === 'dbc' || sourceType === 'both') folders.push({ folder: modulePaths.dbcPath, name: 'dbc' });
+        if (sourceType === 'dbc_source' || sourceType === 'both') folders.push({ folder: modulePaths.dbcSourcePath, name: 'dbc_source' });
+
+        for (const { folder, name: sourceName } of folders) {
+            if (fs.existsSync(folder)) {
+                const sourceSchemas = moduleSchemas[name].schemas;
+                // Files without a schema are exported with inferred columns
+                const dbcNames = singleDbc ? [singleDbc] : [...new Set([...Object.keys(sourceSchemas), ...listDbcFiles(folder)])].sort();
+                sources.push({ folder, database: databaseName(databaseTemplate, name, sourceName), name: moduleNames.length > 1 ? `${name}/${sourceName}` : sourceName, module: name, schemas: sourceSchemas, dbcNames });
+            } else {
+                console.log(`Warning: ${sourceName} folder not found: ${folder}`);
+            }
         }
     }
-    if (sourceType === 'dbc_source' || sourceType === 'both') {
-        if (fs.existsSync(dbcSourcePath)) {
-            sources.push({ folder: dbcSourcePath, database: 'dbc_source', name: 'dbc_source' });
-        } else {
-            console.log(`Warning: dbc_source folder not found: ${dbcSourcePath}`);
-        }
+
+    // The client is shared by every module, so it is exported once, with the first module's schemas
+    if (mpqPath && (sourceType === 'both' || sourceType === 'dbc_client')) {
+        sources.push(clientSource(moduleSchemas[moduleName].schemas));
     }
 
     if (sources.length === 0) {
@@ -302,35 +743,30 @@ async function main() {
         process.exit(1);
     }
 
-    // Get list of DBCs to export
-    let dbcFiles;
-    if (singleDbc) {
-        if (!schemas[singleDbc]) {
-            console.error(`Error: No schema found for ${singleDbc}`);
-            process.exit(1);
+    if (singleDbc && !sources.some(source => source.schemas[singleDbc] || fs.existsSync(path.join(source.folder, `${singleDbc}.dbc`)))) {
+        console.error(`Error: No schema found for ${singleDbc}, and no ${singleDbc}.dbc to infer one from`);
+        process.exit(1);
+    }
+
+    for (const name of moduleNames) {
+        const { origins, unmapped } = moduleSchemas[name];
+        for (const origin of ['datascripts', 'override']) {
+            const dbcNames = Object.keys(origins).filter(dbcName => origins[dbcName] === origin).sort();
+            if (dbcNames.length > 0) console.log(`Schemas from ${origin === 'override' ? 'dbc-schemas.override.json' : 'datascripts'} (${name}): ${dbcNames.join(', ')}`);
         }
-        dbcFiles = [singleDbc];
-    } else {
-        dbcFiles = Object.keys(schemas).sort();
+        const moduleRoot = path.join(getModulePaths(mainConfig, name).moduleBasePath, '..', '..');
+        unmapped.forEach(entry => console.warn(`  ⚠ ${entry.dbc}.${entry.getter} (${path.relative(moduleRoot, entry.file)}:${entry.line}): ${entry.error}`));
     }
 
+    const dbcFiles = [...new Set(sources.flatMap(source => source.dbcNames))];
     console.log(`DBCs to process: ${dbcFiles.length}`);
     console.log(`Sources: ${sources.map(s => s.name).join(', ')}`);
+    if (databaseTemplate !== '{source}') console.log(`Databases: ${sources.map(s => s.database).join(', ')}`);
     if (filterIds) console.log(`Filter IDs: ${filterIds.join(', ')}`);
     if (limit) console.log(`Record limit: ${limit} per DBC`);
+    if (allLocales) console.log('Locales: all');
 
-    // Connect to database
-    let connection;
-    try {
-        console.log(`\nConnecting to MySQL at ${config.host}:${config.port}...`);
-        const configWithoutDb = { ...config };
-        delete configWithoutDb.database;
-        connection = await mysql.createConnection(configWithoutDb);
-        console.log('Connected to MySQL');
-    } catch (error) {
-        console.error('Failed to connect to MySQL:', error.message);
-        process.exit(1);
-    }
+    const backend = await connectBackend();
 
     // Export each source
     const allResults = [];
@@ -342,17 +778,8 @@ async function main() {
         console.log(`Database: ${source.database}`);
         console.log(`${'='.repeat(60)}`);
 
-        // Create database if it doesn't exist and switch to it
-        if (!dryRun) {
-            await connection.query(`CREATE DATABASE IF NOT EXISTS ${source.database}`);
-            await connection.query(`USE ${source.database}`);
-        }
-
-        for (const dbcName of dbcFiles) {
-            const schema = schemas[dbcName];
-            const result = await exportDbc(connection, dbcName, schema, source.folder, source.database, filterIds);
-            allResults.push(result);
-        }
+        const results = await exportFolder(backend, source.schemas, source.dbcNames, source.folder, source.database, { ...exportOptions, history: snapshotInfo(source) });
+        allResults.push(...results);
     }
 
     // Summary
@@ -362,12 +789,14 @@ async function main() {
 
     console.log('\n' + '='.repeat(60));
     console.log('=== Export Summary ===');
-    console.log(`Module: ${moduleName}`);
+    console.log(`Module${moduleNames.length > 1 ? 's' : ''}: ${moduleNames.join(', ')}`);
     console.log(`Total DBCs processed: ${allResults.length}`);
     console.log(`Successful: ${successful}`);
+    console.log(`Skipped (unchanged): ${allResults.filter(r => r.skipped).length}`);
     console.log(`Failed: ${allResults.length - successful}`);
     console.log(`Total records: ${totalRecords}`);
     console.log(`Time: ${elapsed}s`);
+    console.log(`Rate: ${formatRate(totalRecords, (Date.now() - startTime) / 1000)}`);
 
     if (allResults.some(r => !r.success)) {
         console.log('\nFailed DBCs:');
@@ -376,10 +805,18 @@ async function main() {
         });
     }
 
-    await connection.end();
+    if (watchMode) {
+        watchSources(backend, sources);
+        return;
+    }
+
+    if (backend) await backend.close();
 }
 
-main().catch(err => {
+const command = validateMode ? validateMain : diffMode ? diffMain : worldMode ? worldMain
+    : snapshotsMode ? snapshotsMain : asOfSnapshot !== null ? asOfMain : main;
+
+command().catch(err => {
     console.error('Fatal error:', err);
     process.exit(1);
 });
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild DBC files from the MySQL tables created by export-module-dbc.js
+ * Usage: node import-module-dbc.js [--module NAME] [--source SOURCE] [--database-template TEMPLATE] [--dbc NAME] [--out DIR]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    loadConfig,
+    readSchemaFile,
+    loadModuleSchemas,
+    schemaHash,
+    lossyExportOptions,
+    lossyExportState,
+    describeSchemaVersion,
+    getModulePaths,
+    databaseName,
+    sanitizeTableName,
+    readExportState,
+    importDbc,
+    writeDbc,
+    createStringTable,
+    rowToFieldValues
+} = require('./lib');
+
+function printHelp() {
+    console.log('Usage: node import-module-dbc.js [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --module NAME    Module name (uses "module" from config.json if not specified)');
+    console.log('  --source TYPE    Database to read from and folder to write to: "dbc" or "dbc_source" (default: dbc)');
+    console.log('  --database-template TEMPLATE  Database name with {module} and {source}, as used for the export');
+    console.log('                   (default: "databaseTemplate" from config.json, else "{source}")');
+    console.log('  --dbc NAME       Import only this DBC (default: every schema\'d DBC with a table in the database)');
+    console.log('  --out DIR        Write .dbc files to this directory instead of the module folder');
+    console.log('                   (without it, the files replaced are first copied to <source>-backup/<time>)');
+    console.log('  --force          Import tables even if they were exported with a different schema, or with');
+    console.log('                   options that left data out (--limit, --ids, --no-unknown-fields, no --all-locales),');
+    console.log('                   or from a file whose rows were not in ID order or had duplicate IDs');
+    console.log('  --dry-run        Show what would be done without writing files');
+    console.log('  --help           Show this help');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node import-module-dbc.js --dbc Spell');
+    console.log('  node import-module-dbc.js --module cow-level --dbc Spell --out ./rebuilt');
+    console.log('  node import-module-dbc.js --module cow-level --database-template "{module}_{source}" --dbc Spell');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    if (args.includes('--help') || args.includes('-h')) {
+        printHelp();
+        process.exit(0);
+    }
+
+    let mainConfig;
+    let schemas;
+    let schemaMeta;
+    try {
+        mainConfig = loadConfig();
+        ({ schemas, meta: schemaMeta } = readSchemaFile());
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        if (error.hint) console.error(error.hint);
+        process.exit(1);
+    }
+
+    const moduleName = args.indexOf('--module') !== -1 ? args[args.indexOf('--module') + 1] : mainConfig.module;
+    try {
+        // Custom and patched DBC layouts of the module (datascripts, dbc-schemas.override.json)
+        ({ schemas } = loadModuleSchemas(mainConfig, moduleName, schemas));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    const sourceType = args.indexOf('--source') !== -1 ? args[args.indexOf('--source') + 1] : 'dbc';
+    const singleDbc = args.indexOf('--dbc') !== -1 ? args[args.indexOf('--dbc') + 1] : null;
+    const outDir = args.indexOf('--out') !== -1 ? args[args.indexOf('--out') + 1] : null;
+    const dryRun = args.includes('--dry-run');
+    const force = args.includes('--force');
+    const databaseTemplate = args.indexOf('--database-template') !== -1
+        ? args[args.indexOf('--database-template') + 1]
+        : mainConfig.databaseTemplate;
+
+    if (!['dbc', 'dbc_source'].includes(sourceType)) {
+        console.error('Error: --source must be "dbc" or "dbc_source"');
+        process.exit(1);
+    }
+
+    if (singleDbc && !schemas[singleDbc]) {
+        console.error(`Error: No schema found for ${singleDbc}`);
+        process.exit(1);
+    }
+
+    const database = databaseName(databaseTemplate, moduleName, sourceType);
+
+    const outFolder = outDir
+        ? path.resolve(outDir)
+        : path.join(getModulePaths(mainConfig, moduleName).moduleBasePath, sourceType);
+    // Files in the module folder are copied aside before they are replaced
+    const backupFolder = outDir ? null : `${outFolder}-backup/${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+    if (!fs.existsSync(outFolder)) {
+        if (outDir && !dryRun) {
+            fs.mkdirSync(outFolder, { recursive: true });
+        } else if (!outDir) {
+            console.error(`Error: Output folder not found: ${outFolder}`);
+            process.exit(1);
+        }
+    }
+
+    console.log('=== Module DBC Import Tool ===\n');
+    console.log(`Module: ${moduleName}`);
+    console.log(`Database: ${database}`);
+    console.log(`Output: ${outFolder}`);
+    if (backupFolder && !dryRun) console.log(`Backup of replaced files: ${backupFolder}`);
+    if (dryRun) console.log('*** DRY RUN MODE ***\n');
+
+    const mysql = require('mysql2/promise');
+    let connection;
+    try {
+        const config = mainConfig.mysql;
+        console.log(`\nConnecting to MySQL at ${config.host}:${config.port}...`);
+        connection = await mysql.createConnection({
+            ...config,
+            database,
+            // Keep BIGINT UNSIGNED values exact
+            supportBigNumbers: true,
+            bigNumberStrings: true
+        });
+        console.log('Connected to MySQL');
+    } catch (error) {
+        console.error('Failed to connect to MySQL:', error.message);
+        process.exit(1);
+    }
+
+    let dbcNames;
+    if (singleDbc) {
+        dbcNames = [singleDbc];
+    } else {
+        const [tables] = await connection.query('SHOW TABLES');
+        const tableNames = new Set(tables.map(row => Object.values(row)[0]));
+        dbcNames = Object.keys(schemas).sort().filter(name => tableNames.has(sanitizeTableName(name)));
+    }
+
+    console.log(`DBCs to import: ${dbcNames.length}`);
+
+    // Rows of a table exported with another schema would be written with the wrong layout
+    const exportState = await readExportState(connection);
+    const currentSchema = describeSchemaVersion(schemaMeta.version, schemaMeta.sourceCommit);
+
+    const results = [];
+    for (const dbcName of dbcNames) {
+        const state = exportState.get(dbcName);
+        if (!force && state && state.schema_hash && state.schema_hash !== schemaHash(schemas[dbcName])) {
+            const exportedWith = describeSchemaVersion(state.schema_version, state.source_commit);
+            console.error(`[${database}.${dbcName}] ✗ Table was exported with schema ${exportedWith}, dbc-schemas.json is ${currentSchema}`);
+            results.push({ dbcName, success: false, error: 'Schema changed since export; re-export the DBC or use --force', database });
+            continue;
+        }
+        // A table that holds only part of the file would overwrite it with less than it had
+        const lossy = !force && state ? lossyExportState(state, schemas[dbcName]) : [];
+        if (lossy.length > 0) {
+            console.error(`[${database}.${dbcName}] ✗ Table was ${lossy.join('; ')}`);
+            const hint = lossyExportOptions(state.export_options, schemas[dbcName]).length > 0
+                ? 're-export it with --all-locales and without --limit/--ids/--no-unknown-fields, or use --force'
+                : 'use --force to import it anyway';
+            results.push({ dbcName, success: false, error: `Table would not give back the DBC it was exported from; ${hint}`, database });
+            continue;
+        }
+        results.push(await importDbc(connection, dbcName, schemas[dbcName], outFolder, database, dryRun, backupFolder));
+    }
+
+    await connection.end();
+
+    const failed = results.filter(r => !r.success);
+    console.log('\n' + '='.repeat(60));
+    console.log('=== Import Summary ===');
+    console.log(`Total DBCs processed: ${results.length}`);
+    console.log(`Successful: ${results.length - failed.length}`);
+    console.log(`Failed: ${failed.length}`);
+
+    if (failed.length > 0) {
+        console.log('\nFailed DBCs:');
+        failed.forEach(r => console.log(`  - ${r.database}.${r.dbcName}: ${r.error || 'Unknown error'}`));
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
+}
+
+// Kept for scripts that required the importer before lib/ existed
+module.exports = { writeDbc, createStringTable, rowToFieldValues };
@@ -0,0 +1,426 @@
+/**
+ * MySQL export backends: a live mysql2/promise connection, and .sql dump files
+ * (see createSqlOutput) for loading later with `mysql < file`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeDbc, tableColumns } = require('../rows');
+const { diffRecords } = require('../diff');
+const { withUnknownFields, unknownColumnIndices } = require('../schemas');
+const { historyTableName, asOfTableName, historyChanges } = require('../history');
+const {
+    ROWS_PER_INSERT,
+    sanitizeTableName,
+    sanitizeColumnName,
+    createTableSchema,
+    createHistoryTableSchema,
+    buildInsertSql,
+    MYSQL_TYPES,
+    buildEnumTableSql,
+    buildDecodedViewSql,
+    buildRelationTableSql
+} = require('../sql');
+
+async function loadExportState(connection) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS _dbc_export_state (
+  dbc_name VARCHAR(64) PRIMARY KEY,
+  file_hash CHAR(40) NOT NULL,
+  file_size BIGINT NOT NULL,
+  file_mtime BIGINT NOT NULL,
+  export_options VARCHAR(1024) NOT NULL,
+  schema_hash CHAR(40),
+  schema_version INT,
+  source_commit VARCHAR(64),
+  data_loss TEXT,
+  exported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+
+    // State tables created before schemas were versioned lack the schema columns
+    const [schemaColumns] = await connection.query("SHOW COLUMNS FROM _dbc_export_state LIKE 'schema_hash'");
+    if (schemaColumns.length === 0) {
+        await connection.query('ALTER TABLE _dbc_export_state ADD COLUMN schema_hash CHAR(40) AFTER export_options, '
+            + 'ADD COLUMN schema_version INT AFTER schema_hash, ADD COLUMN source_commit VARCHAR(64) AFTER schema_version');
+    }
+    // ... and those from before the export recorded what it left out, data_loss
+    const [lossColumns] = await connection.query("SHOW COLUMNS FROM _dbc_export_state LIKE 'data_loss'");
+    if (lossColumns.length === 0) {
+        await connection.query('ALTER TABLE _dbc_export_state ADD COLUMN data_loss TEXT AFTER source_commit');
+    }
+
+    const [rows] = await connection.query('SELECT * FROM _dbc_export_state');
+    return new Map(rows.map(row => [row.dbc_name, row]));
+}
+
+async function saveExportState(connection, dbcName, fileInfo, exportOptions, schemaInfo = {}, dataLoss = []) {
+    await connection.query(
+        'REPLACE INTO _dbc_export_state (dbc_name, file_hash, file_size, file_mtime, export_options, schema_hash, schema_version, source_commit, data_loss) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [dbcName, fileInfo.hash, fileInfo.size, fileInfo.mtime, exportOptions, schemaInfo.hash || null, schemaInfo.version || null, schemaInfo.sourceCommit || null,
+            dataLoss.length > 0 ? JSON.stringify(dataLoss) : null]
+    );
+}
+
+async function tableExists(connection, tableName) {
+    // _ and % are LIKE wildcards: spell_history would also match spellxhistory
+    const [rows] = await connection.query('SHOW TABLES LIKE ?', [tableName.replace(/[\\_%]/g, '\\$&')]);
+    return rows.length > 0;
+}
+
+/**
+ * Reads the export state of the current database without creating the table;
+ * empty when nothing was exported into it with state tracking
+ */
+async function readExportState(connection) {
+    if (!await tableExists(connection, '_dbc_export_state')) return new Map();
+    const [rows] = await connection.query('SELECT * FROM _dbc_export_state');
+    return new Map(rows.map(row => [row.dbc_name, row]));
+}
+
+/**
+ * Loads records into a staging table inside a transaction, then swaps it over the
+ * live table with a single RENAME TABLE, so readers never see a partial table.
+ */
+async function insertWithTableSwap(connection, tableName, schema, records, options = {}, onProgress = () => {}) {
+    const stagingName = `${tableName}__staging`;
+    const oldName = `${tableName}__old`;
+
+    await connection.query(`DROP TABLE IF EXISTS ${stagingName}`);
+    await connection.query(createTableSchema(stagingName, schema, options));
+
+    try {
+        await connection.beginTransaction();
+        for (let i = 0; i < records.length; i += ROWS_PER_INSERT) {
+            const batch = records.slice(i, i + ROWS_PER_INSERT);
+            await connection.query(buildInsertSql(stagingName, batch));
+            onProgress(i + batch.length);
+        }
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        await connection.query(`DROP TABLE IF EXISTS ${stagingName}`);
+        throw error;
+    }
+
+    if (await tableExists(connection, tableName)) {
+        await connection.query(`DROP TABLE IF EXISTS ${oldName}`);
+        await connection.query(`RENAME TABLE ${tableName} TO ${oldName}, ${stagingName} TO ${tableName}`);
+        await connection.query(`DROP TABLE ${oldName}`);
+    } else {
+        await connection.query(`RENAME TABLE ${stagingName} TO ${tableName}`);
+    }
+
+    return records.length;
+}
+
+/**
+ * Applies only the differences between the live table and the new records:
+ * deletes removed IDs and REPLACEs added or changed rows, in one transaction
+ */
+async function upsertChangedRows(connection, tableName, records) {
+    // execute() uses the binary protocol, so FLOAT columns compare exactly against the file
+    const [currentRows] = await connection.execute(`SELECT * FROM ${tableName}`);
+    const diff = diffRecords(currentRows, records);
+    const changedIds = new Set([...diff.added, ...diff.changed.map(change => change.ID)]);
+    const upserts = records.filter(record => changedIds.has(record.ID));
+
+    try {
+        await connection.beginTransaction();
+        for (let i = 0; i < diff.removed.length; i += ROWS_PER_INSERT) {
+            const ids = diff.removed.slice(i, i + ROWS_PER_INSERT);
+            await connection.query(`DELETE FROM ${tableName} WHERE ID IN (?)`, [ids]);
+        }
+        for (let i = 0; i < upserts.length; i += ROWS_PER_INSERT) {
+            await connection.query(buildInsertSql(tableName, upserts.slice(i, i + ROWS_PER_INSERT), 'REPLACE'));
+        }
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+
+    return { added: diff.added.length, changed: diff.changed.length, removed: diff.removed.length };
+}
+
+/**
+ * Adds a row to the current database's _snapshots table
+ * @param {object} info - { label, module, moduleCommit }
+ * @returns {Promise<number>} The snapshot id
+ */
+async function createSnapshot(connection, info = {}) {
+    await connection.query(`CREATE TABLE IF NOT EXISTS _snapshots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  label VARCHAR(255),
+  module VARCHAR(64),
+  module_commit VARCHAR(64)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+    const [result] = await connection.query('INSERT INTO _snapshots (label, module, module_commit) VALUES (?, ?, ?)',
+        [info.label || null, info.module || null, info.moduleCommit || null]);
+    return result.insertId;
+}
+
+async function listSnapshots(connection) {
+    if (!await tableExists(connection, '_snapshots')) return [];
+    const [rows] = await connection.query('SELECT * FROM _snapshots ORDER BY id');
+    return rows;
+}
+
+/**
+ * Records a snapshot of a table in <table>_history: ends the current version of
+ * changed and removed rows and inserts the new versions, in one transaction.
+ * Columns the schema gained since the history table was created are added.
+ */
+async function writeHistoryRows(connection, tableName, schema, records, snapshotId, options = {}) {
+    const historyName = historyTableName(tableName);
+    await connection.query(createHistoryTableSchema(historyName, schema, options));
+
+    const [existing] = await connection.query(`SHOW COLUMNS FROM ${historyName}`);
+    const names = new Set(existing.map(column => column.Field));
+    const missing = tableColumns(schema, options).filter(column => !names.has(column.name));
+    if (missing.length > 0) {
+        await connection.query(`ALTER TABLE ${historyName} ${missing.map(column => `ADD COLUMN ${sanitizeColumnName(column.name)} ${MYSQL_TYPES[column.kind]}`).join(', ')}`);
+    }
+
+    // execute() uses the binary protocol, so FLOAT columns compare exactly against the file
+    const [currentRows] = await connection.execute(`SELECT * FROM ${historyName} WHERE _valid_to IS NULL`);
+    const changes = historyChanges(currentRows, records, snapshotId);
+
+    try {
+        await connection.beginTransaction();
+        for (let i = 0; i < changes.closedIds.length; i += ROWS_PER_INSERT) {
+            const ids = changes.closedIds.slice(i, i + ROWS_PER_INSERT);
+            await connection.query(`UPDATE ${historyName} SET _valid_to = ? WHERE _valid_to IS NULL AND ID IN (?)`, [snapshotId, ids]);
+        }
+        for (let i = 0; i < changes.rows.length; i += ROWS_PER_INSERT) {
+            await connection.query(buildInsertSql(historyName, changes.rows.slice(i, i + ROWS_PER_INSERT)));
+        }
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+
+    return { added: changes.added, changed: changes.changed, removed: changes.removed };
+}
+
+/**
+ * Writes the rows of <table>_history valid at a snapshot into <table>_as_of_<id>,
+ * with the history table's columns minus the validity range
+ * @returns {Promise<object|null>} { tableName, rows }, or null without a history table
+ */
+async function rebuildTableAsOf(connection, tableName, snapshotId) {
+    const historyName = historyTableName(tableName);
+    if (!await tableExists(connection, historyName)) return null;
+
+    const asOfName = asOfTableName(tableName, snapshotId);
+    const [historyColumns] = await connection.query(`SHOW COLUMNS FROM ${historyName}`);
+    const columns = historyColumns.map(column => column.Field).filter(name => !name.startsWith('_valid_')).map(sanitizeColumnName).join(', ');
+    await connection.query(`DROP TABLE IF EXISTS ${asOfName}`);
+    const [result] = await connection.query(
+        `CREATE TABLE ${asOfName} (PRIMARY KEY (ID)) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 SELECT ${columns} FROM ${historyName} WHERE _valid_from <= ? AND (_valid_to IS NULL OR _valid_to > ?)`,
+        [snapshotId, snapshotId]
+    );
+    return { tableName: asOfName, rows: result.affectedRows };
+}
+
+/**
+ * Export backend for a live connection. The connection is opened without a
+ * database; useDatabase creates and selects it.
+ */
+function mysqlBackend(connection) {
+    async function createDecodedView(tableName, schema, enums) {
+        const viewSql = enums ? buildDecodedViewSql(tableName, schema, enums) : null;
+        if (viewSql) await connection.query(viewSql);
+    }
+
+    return {
+        name: 'mysql',
+        connection,
+        async useDatabase(database) {
+            await connection.query(`CREATE DATABASE IF NOT EXISTS ${database}`);
+            await connection.query(`USE ${database}`);
+            return loadExportState(connection);
+        },
+        tableExists: tableName => tableExists(connection, tableName),
+        async writeEnumTables(enumValues) {
+            for (const [enumName, values] of Object.entries(enumValues)) {
+                for (const sql of buildEnumTableSql(enumName, values)) await connection.query(sql);
+            }
+        },
+        async writeRelationTable(rows) {
+            for (const sql of buildRelationTableSql(rows)) await connection.query(sql);
+        },
+        async replaceTable(tableName, schema, records, options, onProgress) {
+            const inserted = await insertWithTableSwap(connection, tableName, schema, records, options, onProgress);
+            await createDecodedView(tableName, schema, options.enums);
+            return { inserted };
+        },
+        async upsertRows(tableName, schema, records, options) {
+            const counts = await upsertChangedRows(connection, tableName, records);
+            await createDecodedView(tableName, schema, options.enums);
+            return counts;
+        },
+        saveExportState: (dbcName, fileInfo, exportOptions, schemaInfo, dataLoss) => saveExportState(connection, dbcName, fileInfo, exportOptions, schemaInfo, dataLoss),
+        createSnapshot: info => createSnapshot(connection, info),
+        listSnapshots: () => listSnapshots(connection),
+        writeHistory: (tableName, schema, records, snapshotId, options) => writeHistoryRows(connection, tableName, schema, records, snapshotId, options),
+        rebuildAsOf: (tableName, snapshotId) => rebuildTableAsOf(connection, tableName, snapshotId),
+        async close() {
+            await connection.end();
+        }
+    };
+}
+
+/**
+ * Export backend writing .sql files through createSqlOutput. There is no
+ * export state, so every DBC is written in full.
+ */
+function sqlFileBackend(sqlOutput) {
+    let database = null;
+
+    function writeFile(name, statements) {
+        const file = sqlOutput.openTable(database, name);
+        try {
+            statements.forEach(sql => file.write(sql));
+            file.write('');
+        } finally {
+            file.close();
+        }
+        return file.path;
+    }
+
+    return {
+        name: 'sql',
+        async useDatabase(name) {
+            database = name;
+            sqlOutput.useDatabase(name);
+            return null;
+        },
+        async tableExists() {
+            return false;
+        },
+        async writeEnumTables(enumValues) {
+            writeFile('_enums', Object.entries(enumValues).flatMap(([enumName, values]) => buildEnumTableSql(enumName, values)));
+        },
+        async writeRelationTable(rows) {
+            writeFile('_dbc_relations', buildRelationTableSql(rows));
+        },
+        async replaceTable(tableName, schema, records, options) {
+            const statements = [`DROP TABLE IF EXISTS ${tableName};`, createTableSchema(tableName, schema, options)];
+            for (let i = 0; i < records.length; i += ROWS_PER_INSERT) {
+                statements.push(buildInsertSql(tableName, records.slice(i, i + ROWS_PER_INSERT)));
+            }
+            const viewSql = options.enums ? buildDecodedViewSql(tableName, schema, options.enums) : null;
+            if (viewSql) statements.push(viewSql);
+            return { inserted: records.length, path: writeFile(tableName, statements) };
+        },
+        async close() {
+            sqlOutput.close();
+        }
+    };
+}
+
+/**
+ * Writes diffs from diffRecords into a `changes` table, one row per added or
+ * removed ID and per changed column
+ */
+async function writeDiffTable(connection, diffs) {
+    const rows = [];
+    for (const [dbcName, diff] of Object.entries(diffs)) {
+        diff.added.forEach(id => rows.push({ dbc: dbcName, ID: id, change_type: 'added', field: null, old_value: null, new_value: null }));
+        diff.removed.forEach(id => rows.push({ dbc: dbcName, ID: id, change_type: 'removed', field: null, old_value: null, new_value: null }));
+        for (const change of diff.changed) {
+            for (const [column, values] of Object.entries(change.fields)) {
+                rows.push({ dbc: dbcName, ID: change.ID, change_type: 'changed', field: column, old_value: String(values.old), new_value: String(values.new) });
+            }
+        }
+    }
+
+    await connection.query('DROP TABLE IF EXISTS changes');
+    await connection.query(`CREATE TABLE changes (
+  dbc VARCHAR(64) NOT NULL,
+  ID INT NOT NULL,
+  change_type ENUM('added', 'removed', 'changed') NOT NULL,
+  field VARCHAR(128),
+  old_value TEXT,
+  new_value TEXT,
+  INDEX (dbc, ID)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`);
+    for (let i = 0; i < rows.length; i += ROWS_PER_INSERT) {
+        await connection.query(buildInsertSql('changes', rows.slice(i, i + ROWS_PER_INSERT)));
+    }
+    return rows.length;
+}
+
+/**
+ * Runs the statements of buildWorldTableSql in one transaction, so a failed
+ * INSERT leaves the world table as it was
+ */
+async function writeWorldTable(connection, statements) {
+    await connection.beginTransaction();
+    try {
+        for (const sql of statements) await connection.query(sql);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Rebuilds <dbcName>.dbc in outFolder from its table in the current database
+ * @param {string} [backupFolder] - Copy a file about to be overwritten here first
+ */
+async function importDbc(connection, dbcName, schema, outFolder, database, dryRun = false, backupFolder = null) {
+    const tableName = sanitizeTableName(dbcName);
+    const outFilePath = path.join(outFolder, `${dbcName}.dbc`);
+
+    try {
+        const hasId = schema.fields.some(field => field.name === 'ID');
+        // execute() uses the binary protocol, so FLOAT columns come back as exact 32-bit values
+        const [rows, columns] = await connection.execute(`SELECT * FROM ${tableName}${hasId ? ' ORDER BY ID' : ''}`);
+        console.log(`[${database}.${dbcName}] Read ${rows.length} rows from table: ${tableName}`);
+
+        // unk_<fieldIndex> columns hold the bytes the schema doesn't map (see withUnknownFields)
+        const unknownIndices = unknownColumnIndices(columns ? columns.map(column => column.name) : Object.keys(rows[0] || {}));
+        const tableSchema = unknownIndices.length > 0
+            ? withUnknownFields(schema, (Math.max(...unknownIndices) + 1) * 4, unknownIndices)
+            : schema;
+        const buffer = writeDbc(rows, tableSchema);
+
+        if (dryRun) {
+            console.log(`[${database}.${dbcName}] DRY RUN - would write ${buffer.length} bytes to ${outFilePath}`);
+            return { dbcName, success: true, records: rows.length, database };
+        }
+
+        if (backupFolder && fs.existsSync(outFilePath)) {
+            fs.mkdirSync(backupFolder, { recursive: true });
+            fs.copyFileSync(outFilePath, path.join(backupFolder, `${dbcName}.dbc`));
+        }
+        fs.writeFileSync(outFilePath, buffer);
+        console.log(`[${database}.${dbcName}] ✓ Wrote ${rows.length} records to ${outFilePath}`);
+        return { dbcName, success: true, records: rows.length, database };
+
+    } catch (error) {
+        console.error(`[${database}.${dbcName}] ✗ Error:`, error.message);
+        return { dbcName, success: false, error: error.message, database };
+    }
+}
+
+module.exports = {
+    mysqlBackend,
+    sqlFileBackend,
+    loadExportState,
+    readExportState,
+    saveExportState,
+    tableExists,
+    insertWithTableSwap,
+    upsertChangedRows,
+    writeDiffTable,
+    writeWorldTable,
+    createSnapshot,
+    listSnapshots,
+    writeHistoryRows,
+    rebuildTableAsOf,
+    importDbc
+};
@@ -0,0 +1,283 @@
+/**
+ * SQLite export backend (better-sqlite3). A target ending in .sqlite or .db is
+ * one file with the database name as table prefix (dbc_spell, dbc_source_spell);
+ * anything else is a directory holding <database>.sqlite, to be attached under
+ * the database name so queries read like MySQL (SELECT * FROM dbc.spell).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tableColumns } = require('../rows');
+const { diffRecords } = require('../diff');
+const { relationColumns, enumFields } = require('../schemas');
+const { enumTableName, enumRows } = require('../sql');
+const { historyTableName, asOfTableName, historyChanges } = require('../history');
+
+// SQLite column type for each kind of tableColumns value
+const SQLITE_TYPES = {
+    id: 'INTEGER PRIMARY KEY',
+    int: 'INTEGER',
+    uint: 'INTEGER',
+    byte: 'INTEGER',
+    float: 'REAL',
+    string: 'TEXT',
+    ulong: 'INTEGER'
+};
+
+function quote(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * SQLite integers are signed 64-bit, so ULong values above 2^63 are stored as
+ * their two's complement; bit tests with & still work on them. NaN would be
+ * stored as NULL and read back as a changed row on every upsert, so non-finite
+ * floats are refused as in the MySQL backend.
+ */
+function toSqliteValue(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) throw new Error(`${value} can't be stored in SQLite`);
+    return typeof value === 'bigint' ? BigInt.asIntN(64, value) : value;
+}
+
+function openDatabase(filePath) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The SQLite backend needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+    if (filePath !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    return new Database(filePath);
+}
+
+/**
+ * Builds a <table>_decoded view like buildDecodedViewSql, in SQLite syntax
+ */
+function buildSqliteDecodedView(viewName, tableName, schema, enums, enumTable) {
+    const decoded = [];
+
+    for (const field of enumFields(schema, enums)) {
+        const lookup = quote(enumTable(field.enumType));
+        const columns = field.isArray
+            ? Array.from({ length: field.count }, (_, i) => `${field.name}_${i + 1}`)
+            : [field.name];
+
+        for (const column of columns) {
+            // Enum values may be declared as negative 32-bit numbers (1 << 31), columns may be unsigned
+            const member = '(e.value & 0xFFFFFFFF)';
+            if (field.enumKind === 'flags') {
+                decoded.push(`(SELECT group_concat(e.name, '|' ORDER BY ${member}) FROM ${lookup} e WHERE e.value <> 0 AND (t.${quote(column)} & ${member}) = ${member}) AS ${quote(`${column}_names`)}`);
+            } else {
+                decoded.push(`(SELECT e.name FROM ${lookup} e WHERE ${member} = (t.${quote(column)} & 0xFFFFFFFF) ORDER BY e.name LIMIT 1) AS ${quote(`${column}_name`)}`);
+            }
+        }
+    }
+
+    if (decoded.length === 0) return null;
+    return `CREATE VIEW ${quote(viewName)} AS SELECT t.*,\n  ${decoded.join(',\n  ')}\nFROM ${quote(tableName)} t`;
+}
+
+/**
+ * @param {string} target - .sqlite/.db file, :memory:, or a directory for one file per database
+ */
+function sqliteBackend(target) {
+    const singleFile = target === ':memory:' || /\.(sqlite3?|db)$/i.test(target);
+    const files = new Map();
+    let db = null;
+    let prefix = '';
+
+    // Name of a table in the current database
+    const table = name => `${prefix}${name}`;
+
+    function insertRows(tableName, records, verb = 'INSERT') {
+        if (records.length === 0) return;
+        const columns = Object.keys(records[0]);
+        const insert = db.prepare(`${verb} INTO ${quote(tableName)} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+        for (const record of records) insert.run(columns.map(column => toSqliteValue(record[column])));
+    }
+
+    function createTable(tableName, schema, options) {
+        const columns = tableColumns(schema, options).map(column => `${quote(column.name)} ${SQLITE_TYPES[column.kind]}`);
+        db.exec(`CREATE TABLE ${quote(tableName)} (\n  ${columns.join(',\n  ')}\n)`);
+
+        // Index pointer columns; SQLite index names are per database, so they include the table
+        for (const relation of relationColumns(schema, options.relationOverrides)) {
+            if (relation.column === 'ID') continue;
+            db.exec(`CREATE INDEX ${quote(`${tableName}_idx_${relation.column}`)} ON ${quote(tableName)} (${quote(relation.column)})`);
+        }
+    }
+
+    function createDecodedView(tableName, schema, enums) {
+        db.exec(`DROP VIEW IF EXISTS ${quote(`${tableName}_decoded`)}`);
+        const viewSql = enums ? buildSqliteDecodedView(`${tableName}_decoded`, tableName, schema, enums, name => table(enumTableName(name))) : null;
+        if (viewSql) db.exec(viewSql);
+    }
+
+    return {
+        name: 'sqlite',
+        target,
+        async useDatabase(database) {
+            const filePath = singleFile ? target : path.join(target, `${database}.sqlite`);
+            if (!files.has(filePath)) files.set(filePath, openDatabase(filePath));
+            db = files.get(filePath);
+            prefix = singleFile ? `${database}_` : '';
+
+            const stateTable = quote(table('_dbc_export_state'));
+            db.exec(`CREATE TABLE IF NOT EXISTS ${stateTable} (
+  dbc_name TEXT PRIMARY KEY,
+  file_hash TEXT NOT NULL,
+  file_size INTEGER NOT NULL,
+  file_mtime INTEGER NOT NULL,
+  export_options TEXT NOT NULL,
+  schema_hash TEXT,
+  schema_version INTEGER,
+  source_commit TEXT,
+  data_loss TEXT,
+  exported_at TEXT DEFAULT CURRENT_TIMESTAMP
+)`);
+            // State tables created before schemas were versioned lack the schema columns, and older ones data_loss
+            const columns = db.prepare(`PRAGMA table_info(${stateTable})`).all().map(column => column.name);
+            for (const [column, type] of [['schema_hash', 'TEXT'], ['schema_version', 'INTEGER'], ['source_commit', 'TEXT'], ['data_loss', 'TEXT']]) {
+                if (!columns.includes(column)) db.exec(`ALTER TABLE ${stateTable} ADD COLUMN ${column} ${type}`);
+            }
+            const rows = db.prepare(`SELECT * FROM ${quote(table('_dbc_export_state'))}`).all();
+            return new Map(rows.map(row => [row.dbc_name, row]));
+        },
+        async tableExists(tableName) {
+            return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table(tableName)));
+        },
+        async writeEnumTables(enumValues) {
+            db.transaction(() => {
+                for (const [enumName, values] of Object.entries(enumValues)) {
+                    const tableName = table(enumTableName(enumName));
+                    db.exec(`DROP TABLE IF EXISTS ${quote(tableName)}`);
+                    db.exec(`CREATE TABLE ${quote(tableName)} (\n  value INTEGER NOT NULL,\n  name TEXT NOT NULL,\n  PRIMARY KEY (value, name)\n)`);
+                    insertRows(tableName, enumRows(values));
+                }
+            })();
+        },
+        async writeRelationTable(rows) {
+            const tableName = table('_dbc_relations');
+            db.transaction(() => {
+                db.exec(`DROP TABLE IF EXISTS ${quote(tableName)}`);
+                db.exec(`CREATE TABLE ${quote(tableName)} (
+  dbc TEXT NOT NULL,
+  table_name TEXT NOT NULL,
+  field TEXT NOT NULL,
+  column_name TEXT NOT NULL,
+  target_dbc TEXT NOT NULL,
+  target_table TEXT NOT NULL,
+  target_field TEXT NOT NULL,
+  PRIMARY KEY (dbc, column_name)
+)`);
+                db.exec(`CREATE INDEX ${quote(`${tableName}_target_dbc`)} ON ${quote(tableName)} (target_dbc)`);
+                // table_name and target_table are the names in this file, prefix included
+                insertRows(tableName, rows.map(row => ({ ...row, table_name: table(row.table_name), target_table: table(row.target_table) })));
+            })();
+        },
+        async replaceTable(tableName, schema, records, options, onProgress = () => {}) {
+            const name = table(tableName);
+            // DDL is transactional in SQLite, so readers see the old table until the commit
+            db.transaction(() => {
+                db.exec(`DROP VIEW IF EXISTS ${quote(`${name}_decoded`)}`);
+                db.exec(`DROP TABLE IF EXISTS ${quote(name)}`);
+                createTable(name, schema, options);
+                insertRows(name, records);
+                createDecodedView(name, schema, options.enums);
+            })();
+            onProgress(records.length);
+            return { inserted: records.length };
+        },
+        async upsertRows(tableName, schema, records, options) {
+            const name = table(tableName);
+            // safeIntegers returns BigInts, so stored ULong values compare exactly
+            const currentRows = db.prepare(`SELECT * FROM ${quote(name)}`).safeIntegers(true).all();
+            const storedRecords = records.map(record => Object.fromEntries(Object.entries(record).map(([key, value]) => [key, toSqliteValue(value)])));
+            const diff = diffRecords(currentRows.map(row => ({ ...row, ID: Number(row.ID) })), storedRecords);
+            const changedIds = new Set([...diff.added, ...diff.changed.map(change => change.ID)]);
+
+            db.transaction(() => {
+                const remove = db.prepare(`DELETE FROM ${quote(name)} WHERE ID = ?`);
+                diff.removed.forEach(id => remove.run(id));
+                insertRows(name, records.filter(record => changedIds.has(record.ID)), 'INSERT OR REPLACE');
+                createDecodedView(name, schema, options.enums);
+            })();
+
+            return { added: diff.added.length, changed: diff.changed.length, removed: diff.removed.length };
+        },
+        async saveExportState(dbcName, fileInfo, exportOptions, schemaInfo = {}, dataLoss = []) {
+            db.prepare(`INSERT OR REPLACE INTO ${quote(table('_dbc_export_state'))} (dbc_name, file_hash, file_size, file_mtime, export_options, schema_hash, schema_version, source_commit, data_loss) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+                .run(dbcName, fileInfo.hash, fileInfo.size, fileInfo.mtime, exportOptions, schemaInfo.hash || null, schemaInfo.version || null, schemaInfo.sourceCommit || null,
+                    dataLoss.length > 0 ? JSON.stringify(dataLoss) : null);
+        },
+        async createSnapshot(info = {}) {
+            const snapshots = quote(table('_snapshots'));
+            db.exec(`CREATE TABLE IF NOT EXISTS ${snapshots} (
+  id INTEGER PRIMARY KEY,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  label TEXT,
+  module TEXT,
+  module_commit TEXT
+)`);
+            const result = db.prepare(`INSERT INTO ${snapshots} (label, module, module_commit) VALUES (?, ?, ?)`)
+                .run(info.label || null, info.module || null, info.moduleCommit || null);
+            return Number(result.lastInsertRowid);
+        },
+        async listSnapshots() {
+            if (!await this.tableExists('_snapshots')) return [];
+            return db.prepare(`SELECT * FROM ${quote(table('_snapshots'))} ORDER BY id`).all();
+        },
+        async writeHistory(tableName, schema, records, snapshotId, options) {
+            const name = table(historyTableName(tableName));
+            const columns = tableColumns(schema, options);
+            db.exec(`CREATE TABLE IF NOT EXISTS ${quote(name)} (
+  ${columns.map(column => `${quote(column.name)} ${column.kind === 'id' ? 'INTEGER NOT NULL' : SQLITE_TYPES[column.kind]}`).join(',\n  ')},
+  _valid_from INTEGER NOT NULL,
+  _valid_to INTEGER,
+  PRIMARY KEY (ID, _valid_from)
+)`);
+            db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`${name}_valid_to`)} ON ${quote(name)} (_valid_to)`);
+
+            // Columns the schema gained since the history table was created
+            const existing = new Set(db.prepare(`PRAGMA table_info(${quote(name)})`).all().map(column => column.name));
+            for (const column of columns.filter(column => !existing.has(column.name))) {
+                db.exec(`ALTER TABLE ${quote(name)} ADD COLUMN ${quote(column.name)} ${SQLITE_TYPES[column.kind]}`);
+            }
+
+            // safeIntegers returns BigInts, so stored ULong values compare exactly
+            const currentRows = db.prepare(`SELECT * FROM ${quote(name)} WHERE _valid_to IS NULL`).safeIntegers(true).all();
+            const storedRecords = records.map(record => Object.fromEntries(Object.entries(record).map(([key, value]) => [key, toSqliteValue(value)])));
+            const changes = historyChanges(currentRows.map(row => ({ ...row, ID: Number(row.ID) })), storedRecords, snapshotId);
+
+            db.transaction(() => {
+                const close = db.prepare(`UPDATE ${quote(name)} SET _valid_to = ? WHERE _valid_to IS NULL AND ID = ?`);
+                changes.closedIds.forEach(id => close.run(snapshotId, id));
+                insertRows(name, changes.rows);
+            })();
+
+            return { added: changes.added, changed: changes.changed, removed: changes.removed };
+        },
+        async rebuildAsOf(tableName, snapshotId) {
+            const historyName = table(historyTableName(tableName));
+            if (!await this.tableExists(historyTableName(tableName))) return null;
+
+            const name = table(asOfTableName(tableName, snapshotId));
+            const columns = db.prepare(`PRAGMA table_info(${quote(historyName)})`).all().filter(column => !column.name.startsWith('_valid_'));
+            const names = columns.map(column => quote(column.name)).join(', ');
+            let rows = 0;
+            db.transaction(() => {
+                db.exec(`DROP TABLE IF EXISTS ${quote(name)}`);
+                db.exec(`CREATE TABLE ${quote(name)} (\n  ${columns.map(column => `${quote(column.name)} ${column.name === 'ID' ? SQLITE_TYPES.id : column.type}`).join(',\n  ')}\n)`);
+                rows = db.prepare(`INSERT INTO ${quote(name)} (${names}) SELECT ${names} FROM ${quote(historyName)} WHERE _valid_from <= ? AND (_valid_to IS NULL OR _valid_to > ?)`)
+                    .run(snapshotId, snapshotId).changes;
+            })();
+            return { tableName: name, rows };
+        },
+        async close() {
+            for (const file of files.values()) file.close();
+            files.clear();
+        }
+    };
+}
+
+module.exports = { sqliteBackend, SQLITE_TYPES };
@@ -0,0 +1,240 @@
+/**
+ * bzip2 decompression in plain JavaScript, for MPQ sectors compressed with
+ * bzip2 (compression mask 0x10). Block CRCs are not checked.
+ */
+
+const BLOCK_MAGIC = [0x314159, 0x265359];
+const END_MAGIC = [0x177245, 0x385090];
+const GROUP_SIZE = 50;
+
+function bitReader(input) {
+    let position = 0;
+    let current = 0;
+    let available = 0;
+
+    return function bits(count) {
+        let value = 0;
+        while (count > 0) {
+            if (available === 0) {
+                if (position >= input.length) throw new Error('bzip2: unexpected end of data');
+                current = input[position++];
+                available = 8;
+            }
+            const take = Math.min(count, available);
+            value = (value * (1 << take)) + ((current >>> (available - take)) & ((1 << take) - 1));
+            available -= take;
+            count -= take;
+        }
+        return value;
+    };
+}
+
+// Canonical Huffman decoding tables for one group of code lengths
+function huffmanTable(lengths) {
+    const minLength = Math.min(...lengths);
+    const maxLength = Math.max(...lengths);
+    const symbols = [];
+    const limit = new Int32Array(maxLength + 1);
+    const base = new Int32Array(maxLength + 1);
+
+    // Codes of one length are consecutive, starting at `code`; symbol = symbols[base[length] + code]
+    let code = 0;
+    for (let length = minLength; length <= maxLength; length++) {
+        const first = symbols.length;
+        lengths.forEach((symbolLength, symbol) => {
+            if (symbolLength === length) symbols.push(symbol);
+        });
+        base[length] = first - code;
+        code += symbols.length - first;
+        limit[length] = code - 1;
+        code <<= 1;
+    }
+    return { minLength, maxLength, limit, base, symbols };
+}
+
+function decodeSymbol(bits, table) {
+    let length = table.minLength;
+    let code = bits(length);
+    while (length <= table.maxLength) {
+        if (code <= table.limit[length]) return table.symbols[table.base[length] + code];
+        code = (code << 1) | bits(1);
+        length++;
+    }
+    throw new Error('bzip2: invalid Huffman code');
+}
+
+/**
+ * Reads one block's Huffman/MTF/run-length coded symbols into tt (one byte per
+ * entry) and returns the number of bytes, their counts and the BWT origin
+ */
+function readBlock(bits, tt, maxBlockSize) {
+    bits(32); // block CRC
+    if (bits(1)) throw new Error('bzip2: randomised blocks are not supported');
+    const origin = bits(24);
+
+    // Bytes used in the block, from a 16x16 bitmap
+    const used = [];
+    const ranges = bits(16);
+    for (let i = 0; i < 16; i++) {
+        if (!(ranges & (0x8000 >> i))) continue;
+        const range = bits(16);
+        for (let j = 0; j < 16; j++) {
+            if (range & (0x8000 >> j)) used.push((i * 16) + j);
+        }
+    }
+    if (used.length === 0) throw new Error('bzip2: block uses no symbols');
+
+    const alphabetSize = used.length + 2;
+    const groupCount = bits(3);
+    const selectorCount = bits(15);
+    if (groupCount < 2 || groupCount > 6 || selectorCount === 0) throw new Error('bzip2: invalid block header');
+
+    const groupOrder = Array.from({ length: groupCount }, (_, i) => i);
+    const selectors = new Uint8Array(selectorCount);
+    for (let i = 0; i < selectorCount; i++) {
+        let j = 0;
+        while (bits(1)) {
+            if (++j >= groupCount) throw new Error('bzip2: invalid selector');
+        }
+        const group = groupOrder.splice(j, 1)[0];
+        groupOrder.unshift(group);
+        selectors[i] = group;
+    }
+
+    const tables = [];
+    for (let t = 0; t < groupCount; t++) {
+        const lengths = [];
+        let length = bits(5);
+        for (let symbol = 0; symbol < alphabetSize; symbol++) {
+            for (;;) {
+                if (length < 1 || length > 20) throw new Error('bzip2: invalid code length');
+                if (!bits(1)) break;
+                length += bits(1) ? -1 : 1;
+            }
+            lengths.push(length);
+        }
+        tables.push(huffmanTable(lengths));
+    }
+
+    // Symbols 0 and 1 (RUNA/RUNB) spell the length of a run of the front byte in bijective base 2
+    const endOfBlock = alphabetSize - 1;
+    const order = Uint8Array.from(used.keys());
+    const counts = new Int32Array(256);
+    let count = 0;
+    let run = 0;
+    let runWeight = 1;
+    let selector = 0;
+    let groupLeft = 0;
+    let table = null;
+
+    for (;;) {
+        if (groupLeft === 0) {
+            if (selector >= selectorCount) throw new Error('bzip2: ran out of selectors');
+            table = tables[selectors[selector++]];
+            groupLeft = GROUP_SIZE;
+        }
+        groupLeft--;
+
+        const symbol = decodeSymbol(bits, table);
+        if (symbol <= 1) {
+            run += (symbol + 1) * runWeight;
+            runWeight *= 2;
+            if (run > maxBlockSize) throw new Error('bzip2: run exceeds the block size');
+            continue;
+        }
+
+        if (run > 0) {
+            if (count + run > maxBlockSize) throw new Error('bzip2: block exceeds its size');
+            const value = used[order[0]];
+            counts[value] += run;
+            tt.fill(value, count, count + run);
+            count += run;
+            run = 0;
+            runWeight = 1;
+        }
+        if (symbol === endOfBlock) break;
+
+        // Move-to-front: symbol n is the byte at position n - 1
+        const index = symbol - 1;
+        const front = order[index];
+        order.copyWithin(1, 0, index);
+        order[0] = front;
+
+        if (count >= maxBlockSize) throw new Error('bzip2: block exceeds its size');
+        counts[used[front]]++;
+        tt[count++] = used[front];
+    }
+
+    if (origin >= count) throw new Error('bzip2: invalid block origin');
+    return { count, counts, origin };
+}
+
+/**
+ * Decompresses a complete bzip2 stream
+ * @param {Buffer} input
+ * @returns {Buffer}
+ */
+function decompressBzip2(input) {
+    const bits = bitReader(input);
+    if (bits(8) !== 0x42 || bits(8) !== 0x5a || bits(8) !== 0x68) throw new Error('bzip2: missing BZh signature');
+    const level = bits(8) - 0x30;
+    if (level < 1 || level > 9) throw new Error('bzip2: invalid block size');
+
+    const maxBlockSize = level * 100000;
+    const tt = new Uint32Array(maxBlockSize);
+    const chunks = [];
+
+    for (;;) {
+        const magic = [bits(24), bits(24)];
+        if (magic[0] === END_MAGIC[0] && magic[1] === END_MAGIC[1]) break;
+        if (magic[0] !== BLOCK_MAGIC[0] || magic[1] !== BLOCK_MAGIC[1]) throw new Error('bzip2: invalid block signature');
+
+        const { count, counts, origin } = readBlock(bits, tt, maxBlockSize);
+
+        // Inverse Burrows-Wheeler transform: the upper bits of each entry link to the next byte
+        const next = new Int32Array(256);
+        for (let i = 0, sum = 0; i < 256; i++) {
+            next[i] = sum;
+            sum += counts[i];
+        }
+        for (let i = 0; i < count; i++) tt[next[tt[i] & 0xff]++] |= i << 8;
+
+        // Undo the initial run-length encoding: 4 equal bytes are followed by a repeat count
+        let output = Buffer.alloc(count + (count >> 1));
+        let length = 0;
+        let position = tt[origin] >>> 8;
+        let last = -1;
+        let run = 0;
+        for (let i = 0; i < count; i++) {
+            const entry = tt[position];
+            const value = entry & 0xff;
+            position = entry >>> 8;
+
+            const repeat = run === 4 ? value : 1;
+            if (length + repeat > output.length) {
+                const grown = Buffer.alloc((output.length * 2) + repeat);
+                output.copy(grown, 0, 0, length);
+                output = grown;
+            }
+            if (run === 4) {
+                output.fill(last, length, length + repeat);
+                length += repeat;
+                last = -1;
+                run = 0;
+                continue;
+            }
+            output[length++] = value;
+            if (value === last) {
+                run++;
+            } else {
+                last = value;
+                run = 1;
+            }
+        }
+        chunks.push(output.subarray(0, length));
+    }
+
+    return Buffer.concat(chunks);
+}
+
+module.exports = { decompressBzip2 };
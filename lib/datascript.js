@@ -0,0 +1,100 @@
+/**
+ * Generation of TSWoW datascript code that recreates a DBC record through the
+ * raw row API (DBC.<Name>.add / findById / clone and <Field>.set)
+ */
+
+const { LOCALES, isLocalized } = require('./dbc-file');
+const { sameValue } = require('./diff');
+
+// TSWoW's names for the 16 locale cells (its Language type); enUS is enGB, zhCN/zhTW are enCN/enTW
+const DATASCRIPT_LOCALES = ['enGB', 'koKR', 'frFR', 'deDE', 'enCN', 'enTW', 'esES', 'esMX', 'ruRU', 'jaJP', 'ptPT', 'itIT'];
+
+// DBCULongCell.set takes a bigint, so every ULong value is a BigInt literal,
+// whether it was read as a BigInt, a number or a decimal string
+function literal(value, field) {
+    if (field && field.type === 'ulong' && value !== null && value !== undefined) return `${BigInt.asUintN(64, BigInt(value))}n`;
+    if (typeof value === 'string') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Builds the statements setting one field. Only cells that differ from
+ * baseValues are set when it is given.
+ */
+function fieldStatements(field, values, baseValues) {
+    const differs = j => !baseValues || !sameValue(values[j], baseValues[j]);
+
+    if (isLocalized(field)) {
+        const statements = [];
+        LOCALES.forEach((locale, j) => {
+            if (!differs(j)) return;
+            // Only write locales that hold text unless they differ from the base
+            if (!baseValues && values[j] === '') return;
+            if (j >= DATASCRIPT_LOCALES.length) {
+                statements.push(`// ${field.name}_${locale} = ${literal(values[j])} has no TSWoW locale name`);
+                return;
+            }
+            statements.push(`row.${field.name}.${DATASCRIPT_LOCALES[j]}.set(${literal(values[j])});`);
+        });
+        if (differs(LOCALES.length) && (baseValues || values[LOCALES.length] !== 0)) {
+            statements.push(`// ${field.name}_flags = ${literal(values[LOCALES.length])}`);
+        }
+        return statements;
+    }
+
+    if (field.isArray) {
+        const changed = values.map((_, j) => j).filter(differs);
+        if (changed.length === 0) return [];
+        if (changed.length === values.length || !baseValues) return [`row.${field.name}.set([${values.map(value => literal(value, field)).join(', ')}]);`];
+        return changed.map(j => `row.${field.name}.setIndex(${j}, ${literal(values[j], field)});`);
+    }
+
+    return differs(0) ? [`row.${field.name}.set(${literal(values[0], field)});`] : [];
+}
+
+/**
+ * Generates a datascript for one record.
+ * @param {object} schema
+ * @param {Array[]} fieldValues - Cell values per field (DbcFile.readRecord)
+ * @param {object} [options]
+ *   id          - ID of the new row (default: the record's ID); with edit, the row to edit
+ *   edit        - Edit an existing row (findById) instead of creating one
+ *   baseId      - Clone this row (or, with edit, compare against it) and only set the fields that differ
+ *   baseValues  - Cell values of the base record; required with baseId
+ *   baseLabel   - How the base record is named in the generated comment (default: "<Dbc> <baseId>")
+ *   comment     - First line of the generated file
+ * @returns {string} TypeScript source
+ */
+function toDatascript(schema, fieldValues, options = {}) {
+    const idIndex = schema.fields.findIndex(field => field.name === 'ID');
+    if (idIndex === -1) throw new Error(`${schema.name} has no ID field; datascripts address rows by ID`);
+
+    const recordId = fieldValues[idIndex][0];
+    const id = options.id !== undefined && options.id !== null ? options.id : recordId;
+    const baseValues = options.baseId !== undefined && options.baseId !== null ? options.baseValues : null;
+
+    let rowExpression;
+    if (options.edit) {
+        rowExpression = `DBC.${schema.name}.findById(${id})`;
+    } else if (baseValues) {
+        rowExpression = `DBC.${schema.name}.findById(${options.baseId}).clone(${id})`;
+    } else {
+        rowExpression = `DBC.${schema.name}.add(${id})`;
+    }
+
+    const statements = [];
+    schema.fields.forEach((field, f) => {
+        if (f === idIndex) return;
+        statements.push(...fieldStatements(field, fieldValues[f], baseValues && baseValues[f]));
+    });
+
+    const lines = [];
+    if (options.comment) lines.push(`// ${options.comment}`);
+    if (baseValues) lines.push(`// Only fields that differ from ${options.baseLabel || `${schema.name} ${options.baseId}`}`);
+    lines.push('import { DBC } from "wow/wotlk";', '');
+    lines.push(`const row = ${rowExpression};`);
+    lines.push(...(statements.length > 0 ? statements : ['// No differences']));
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { DATASCRIPT_LOCALES, toDatascript };
@@ -0,0 +1,291 @@
+/**
+ * Schemas from TSWoW DBC definitions: the DBCRow classes of tswow-scripts/wotlk/dbc
+ * (parse-tswow-schemas.js) and those of custom DBCs in module datascripts.
+ * Each getter returning a DBC cell becomes a schema field.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenizeTypeScript, findClassGetters, parseNewExpression } = require('./ts-parser');
+
+/**
+ * Evaluates a cell size or offset argument: numeric literals, `this.offset`,
+ * parentheses, + - and *. Returns { offset, value } meaning
+ * offset * this.offset + value, or null for anything else.
+ */
+function evaluateCellArgument(tokens) {
+    let i = 0;
+    const peek = () => tokens[i] && tokens[i].value;
+
+    function primary() {
+        const token = tokens[i++];
+        if (!token) return null;
+        if (token.type === 'number') return { offset: 0, value: token.number };
+        if (token.value === '(') {
+            const inner = additive();
+            if (!inner || peek() !== ')') return null;
+            i++;
+            return inner;
+        }
+        if (token.value === 'this' && peek() === '.' && tokens[i + 1] && tokens[i + 1].value === 'offset') {
+            i += 2;
+            return { offset: 1, value: 0 };
+        }
+        return null;
+    }
+
+    function multiplicative() {
+        let left = primary();
+        while (left && peek() === '*') {
+            i++;
+            const right = primary();
+            if (!right || (left.offset && right.offset)) return null;
+            left = {
+                offset: left.offset * right.value + right.offset * left.value,
+                value: left.value * right.value
+            };
+        }
+        return left;
+    }
+
+    function additive() {
+        let left = multiplicative();
+        while (left && (peek() === '+' || peek() === '-')) {
+            const sign = tokens[i++].value === '+' ? 1 : -1;
+            const right = multiplicative();
+            if (!right) return null;
+            left = { offset: left.offset + sign * right.offset, value: left.value + sign * right.value };
+        }
+        return left;
+    }
+
+    const result = additive();
+    return result && i === tokens.length ? result : null;
+}
+
+const isThis = tokens => tokens.length === 1 && tokens[0].value === 'this';
+const isBuffer = tokens => tokens.map(token => token.value).join('') === 'this.buffer';
+
+// Generated TSWoW definitions use this for getters nobody has documented yet
+const PLACEHOLDER_COMMENT = 'No comment (yet!)';
+
+// Type and size of one element of each kind of cell, checked in order
+const CELL_TYPES = [
+    { pattern: /ULong/, type: 'ulong', bytesPerField: 8 },
+    { pattern: /Byte/, type: 'byte', bytesPerField: 1 },
+    { pattern: /Float/, type: 'float', bytesPerField: 4 },
+    { pattern: /Loc|String/, type: 'string', bytesPerField: 4 },
+    { pattern: /Int|Key|Bool|Enum|Flag|Mask|Pointer|Multi/, type: 'int', bytesPerField: 4 }
+];
+
+/**
+ * Maps a getter of a row class to a schema field. The getter must return
+ * `new DBC<Type>Cell<T>(this, [size,] this.buffer, this.offset + N, ...)`;
+ * arguments after the offset don't affect the layout and are ignored.
+ * @returns {object} { field } or { error } explaining why the getter can't be mapped
+ */
+function mapGetter(getter) {
+    const expression = parseNewExpression(getter.body);
+    if (!expression) return { error: 'body is not `return new <Cell>(...)`' };
+
+    const cellType = expression.callee.split('.').pop();
+    if (!/^DBC\w*Cell$/.test(cellType)) return { error: `returns ${expression.callee}, not a DBC cell` };
+
+    const bufferIndex = expression.args.findIndex(isBuffer);
+    if (bufferIndex === -1 || !isThis(expression.args[0] || [])) {
+        return { error: `${cellType} arguments are not (this, [size,] this.buffer, this.offset+N)` };
+    }
+
+    const offsetArg = expression.args[bufferIndex + 1] ? evaluateCellArgument(expression.args[bufferIndex + 1]) : null;
+    if (!offsetArg || offsetArg.offset !== 1) return { error: `${cellType} offset is not this.offset+N` };
+
+    let arraySize = null;
+    if (bufferIndex === 2) {
+        const sizeArg = evaluateCellArgument(expression.args[1]);
+        if (!sizeArg || sizeArg.offset !== 0) return { error: `${cellType} size is not a number` };
+        arraySize = sizeArg.value;
+    } else if (bufferIndex !== 1) {
+        return { error: `${cellType} has unexpected arguments before this.buffer` };
+    }
+
+    const layout = CELL_TYPES.find(entry => entry.pattern.test(cellType));
+    if (!layout) return { error: `unknown cell type ${cellType}` };
+
+    let isArray = false;
+    let count = 1;
+    if (cellType.includes('Loc')) {
+        isArray = true;
+        count = 17; // Localized strings have 16 language versions + 1 flags field
+    } else if (cellType.includes('Array')) {
+        if (!arraySize) return { error: `${cellType} has no array size` };
+        isArray = true;
+        count = arraySize;
+    }
+
+    const field = {
+        name: getter.name,
+        type: layout.type,
+        offset: offsetArg.value,
+        isArray: isArray,
+        count: count,
+        cellType: cellType,
+        bytesPerField: layout.bytesPerField
+    };
+
+    // Enum and flag cells may name their enum: new DBCEnumCell<EnumName>(...)
+    // Pointer cells may name the row they point to: new DBCPointerCell<SpellIconRow>(...)
+    const typeArgument = /^[\w.]+$/.test(expression.typeArguments[0] || '') ? expression.typeArguments[0].split('.').pop() : null;
+    if (typeArgument && cellType.includes('Pointer')) {
+        field.pointsTo = typeArgument.replace(/Row$/, '');
+    } else if (typeArgument) {
+        field.enumType = typeArgument;
+        field.enumKind = cellType.includes('Flag') || cellType.includes('Mask') ? 'flags' : 'enum';
+    }
+    const description = getter.description && getter.description.split('\n').filter(text => text !== PLACEHOLDER_COMMENT).join('\n');
+    if (description) field.description = description;
+
+    return { field };
+}
+
+/**
+ * Builds a schema from a DBCRow class found by findClassGetters
+ * @param {object} rowClass
+ * @param {string} dbcName
+ * @param {object[]} [unmapped] - Receives { dbc, getter, line, error, file } for each getter that couldn't be mapped
+ * @param {string} [filePath] - File the class was read from, for unmapped entries
+ */
+function schemaFromRowClass(rowClass, dbcName, unmapped = [], filePath = null) {
+    const fields = [];
+    for (const getter of rowClass.getters) {
+        // Skip if it's just the ID field and we already have it
+        if (getter.name === 'ID' && fields.length > 0) continue;
+
+        const mapped = mapGetter(getter);
+        if (mapped.error) {
+            unmapped.push({ dbc: dbcName, getter: getter.name, line: getter.line, error: mapped.error, file: filePath });
+        } else {
+            fields.push(mapped.field);
+        }
+    }
+    
+    // Sort by offset to get correct field order
+    fields.sort((a, b) => a.offset - b.offset);
+    
+    // Calculate total field count (in 4-byte units) by finding max offset + size
+    let maxByteOffset = 0;
+    fields.forEach(field => {
+        const fieldEndByte = field.offset + (field.isArray ? (field.count * field.bytesPerField) : field.bytesPerField);
+        if (fieldEndByte > maxByteOffset) {
+            maxByteOffset = fieldEndByte;
+        }
+        
+        // Field index is the byte offset divided by 4 (since DBC reads in 4-byte chunks)
+        field.fieldIndex = Math.floor(field.offset / 4);
+        
+        if (field.isArray) {
+            field.fieldIndices = [];
+            if (field.bytesPerField === 1) {
+                // Byte arrays: calculate which 4-byte chunk each byte falls into
+                for (let i = 0; i < field.count; i++) {
+                    const bytePos = field.offset + i;
+                    field.fieldIndices.push(Math.floor(bytePos / 4));
+                }
+            } else {
+                // Standard arrays (4 bytes per element)
+                for (let i = 0; i < field.count; i++) {
+                    field.fieldIndices.push(field.fieldIndex + i);
+                }
+            }
+        } else if (field.bytesPerField === 8) {
+            // ULong fields span 2 field indices
+            field.fieldIndices = [field.fieldIndex, field.fieldIndex + 1];
+        } else if (field.bytesPerField === 1) {
+            // Single byte field - track which byte within the 4-byte chunk
+            field.byteIndexInChunk = field.offset % 4;
+        }
+    });
+    
+    // Total fields is the max byte offset divided by 4 (rounded up)
+    const totalFields = Math.ceil(maxByteOffset / 4);
+    
+    return {
+        name: dbcName,
+        totalFields: totalFields,
+        fields: fields
+    };
+}
+
+/**
+ * Reads the fields of the DBCRow class in a TSWoW DBC definition file
+ * @param {string} filePath
+ * @param {string} dbcName
+ * @param {object[]} [unmapped] - See schemaFromRowClass
+ */
+function parseDbcSchema(filePath, dbcName, unmapped = []) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const rowClass = findClassGetters(content, 'DBCRow')[0];
+    if (!rowClass) throw new Error('No class extending DBCRow');
+    return schemaFromRowClass(rowClass, dbcName, unmapped, filePath);
+}
+
+function findTypeScriptFiles(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && entry.name !== 'node_modules') files.push(...findTypeScriptFiles(entryPath));
+        else if (entry.isFile() && entry.name.endsWith('.ts')) files.push(entryPath);
+    }
+    return files.sort();
+}
+
+/**
+ * Name of the DBC a row class describes. Custom DBCs follow the TSWoW
+ * definitions: a DBCFile subclass passes the name to super('Name', ...). When a
+ * file has several row classes or no such call, the class name without its
+ * Row suffix is used.
+ */
+function definitionDbcName(content, rowClasses, rowClass) {
+    if (rowClasses.length === 1) {
+        const tokens = tokenizeTypeScript(content);
+        for (let i = 0; i < tokens.length - 2; i++) {
+            if (tokens[i].value === 'super' && tokens[i + 1].value === '(' && tokens[i + 2].type === 'string') {
+                return tokens[i + 2].value.slice(1, -1);
+            }
+        }
+    }
+    return rowClass.name.replace(/Row$/, '');
+}
+
+/**
+ * Schemas of the DBCs defined by DBCRow classes in a folder of datascripts
+ * (searched recursively)
+ * @param {string} folder
+ * @param {object[]} [unmapped] - See schemaFromRowClass
+ * @returns {object} { dbcName: schema }
+ */
+function parseDatascriptSchemas(folder, unmapped = []) {
+    const schemas = {};
+    if (!fs.existsSync(folder)) return schemas;
+
+    for (const filePath of findTypeScriptFiles(folder)) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        if (!content.includes('DBCRow')) continue;
+
+        const rowClasses = findClassGetters(content, 'DBCRow');
+        for (const rowClass of rowClasses) {
+            const dbcName = definitionDbcName(content, rowClasses, rowClass);
+            const schema = schemaFromRowClass(rowClass, dbcName, unmapped, filePath);
+            if (schema.fields.length > 0) schemas[dbcName] = schema;
+        }
+    }
+    return schemas;
+}
+
+module.exports = {
+    CELL_TYPES,
+    mapGetter,
+    schemaFromRowClass,
+    parseDbcSchema,
+    findTypeScriptFiles,
+    parseDatascriptSchemas
+};
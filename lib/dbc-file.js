@@ -0,0 +1,207 @@
+/**
+ * WDBC file reader/writer driven by the field layouts in dbc-schemas.json
+ */
+
+const fs = require('fs');
+
+const HEADER_SIZE = 20;
+
+// Locale order of the 16 string cells in a DBCLocCell; the 17th cell holds the flags
+const LOCALES = ['enUS', 'koKR', 'frFR', 'deDE', 'zhCN', 'zhTW', 'esES', 'esMX', 'ruRU', 'jaJP', 'ptPT', 'itIT', 'unk12', 'unk13', 'unk14', 'unk15'];
+
+// UInt, Flag and Mask cells hold unsigned 32-bit values (e.g. spell attribute flags)
+const UNSIGNED_CELL_TYPES = ['DBCUIntCell', 'DBCUIntArrayCell', 'DBCFlagCell', 'DBCMaskCell'];
+
+function isLocalized(field) {
+    return field.cellType === 'DBCLocCell';
+}
+
+/**
+ * The type used to read a single cell of a field: the schema type, with
+ * unsigned int cells reported as 'uint'
+ */
+function valueType(field) {
+    return field.type === 'int' && UNSIGNED_CELL_TYPES.includes(field.cellType) ? 'uint' : field.type;
+}
+
+/**
+ * The type of cell j of a field; the last cell of a localized string is its flags
+ */
+function cellType(field, j) {
+    if (isLocalized(field)) return j === LOCALES.length ? 'uint' : 'string';
+    return valueType(field);
+}
+
+/**
+ * Builds a WDBC string table. Offset 0 is always the empty string and
+ * identical strings share a single entry, in order of first appearance.
+ */
+function createStringTable() {
+    const chunks = [Buffer.from([0])];
+    const offsets = new Map([['', 0]]);
+    let size = 1;
+
+    return {
+        add(value) {
+            const str = value === null || value === undefined ? '' : String(value);
+            if (offsets.has(str)) return offsets.get(str);
+            const bytes = Buffer.from(`${str}\0`, 'utf8');
+            offsets.set(str, size);
+            chunks.push(bytes);
+            size += bytes.length;
+            return offsets.get(str);
+        },
+        toBuffer() {
+            return Buffer.concat(chunks, size);
+        }
+    };
+}
+
+class DbcFile {
+    /**
+     * @param {Buffer} buffer - Complete contents of a .dbc file
+     */
+    constructor(buffer) {
+        const header = buffer.toString('ascii', 0, 4);
+        if (header !== 'WDBC') throw new Error(`Invalid DBC header: ${header}`);
+
+        this.buffer = buffer;
+        this.recordCount = buffer.readInt32LE(4);
+        this.fieldCount = buffer.readUInt32LE(8);
+        this.recordSize = buffer.readInt32LE(12);
+        this.stringSize = buffer.readInt32LE(16);
+        this.stringTableStart = HEADER_SIZE + (this.recordCount * this.recordSize);
+    }
+
+    static read(filePath) {
+        return new DbcFile(fs.readFileSync(filePath));
+    }
+
+    /**
+     * Reads only the 20-byte header: { recordCount, fieldCount, recordSize, stringSize }
+     */
+    static readHeader(filePath) {
+        const buffer = Buffer.alloc(HEADER_SIZE);
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, HEADER_SIZE, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        const { recordCount, fieldCount, recordSize, stringSize } = new DbcFile(buffer);
+        return { recordCount, fieldCount, recordSize, stringSize };
+    }
+
+    /**
+     * Serializes records into a WDBC file using the byte layout in the schema.
+     * Each record is a list of cell values per schema field (see readFieldValues).
+     * Bytes not covered by any schema field are written as zero.
+     */
+    static fromFieldValues(records, schema) {
+        const fieldCount = schema.totalFields;
+        const recordSize = fieldCount * 4;
+        const data = Buffer.alloc(records.length * recordSize);
+        const stringTable = createStringTable();
+
+        records.forEach((fieldValues, i) => {
+            const recordOffset = i * recordSize;
+
+            // unk_ fields first: a masked one holds zero where the byte fields sharing it go
+            for (const unknown of [true, false]) {
+                schema.fields.forEach((field, f) => {
+                    if (Boolean(field.unknown) !== unknown) return;
+                    const values = fieldValues[f];
+                    for (let j = 0; j < values.length; j++) {
+                        const byteOffset = recordOffset + field.offset + (j * field.bytesPerField);
+                        writeValue(data, byteOffset, cellType(field, j), values[j], stringTable);
+                    }
+                });
+            }
+        });
+
+        const strings = stringTable.toBuffer();
+        const header = Buffer.alloc(HEADER_SIZE);
+        header.write('WDBC', 0, 'ascii');
+        header.writeInt32LE(records.length, 4);
+        header.writeUInt32LE(fieldCount, 8);
+        header.writeInt32LE(recordSize, 12);
+        header.writeInt32LE(strings.length, 16);
+
+        return new DbcFile(Buffer.concat([header, data, strings]));
+    }
+
+    recordOffset(index) {
+        return HEADER_SIZE + (index * this.recordSize);
+    }
+
+    readString(offset) {
+        if (offset === 0) return '';
+        const start = this.stringTableStart + offset;
+        let end = start;
+        while (end < this.buffer.length && this.buffer[end] !== 0) end++;
+        return this.buffer.toString('utf8', start, end);
+    }
+
+    readValue(offset, type) {
+        const buffer = this.buffer;
+        if (type === 'float') return buffer.readFloatLE(offset);
+        if (type === 'string') return this.readString(buffer.readInt32LE(offset));
+        // ULong stays a BigInt; Number() would lose precision above 2^53
+        if (type === 'ulong') return buffer.readBigUInt64LE(offset);
+        if (type === 'byte') return buffer.readUInt8(offset);
+        if (type === 'uint') return buffer.readUInt32LE(offset);
+        return buffer.readInt32LE(offset);
+    }
+
+    /**
+     * Reads every cell of a field: one value for plain fields, `count` values for
+     * arrays, and 16 locale strings plus the flags for localized strings.
+     * Fields with a `mask` (see withUnknownFields) keep only the masked bits.
+     */
+    readFieldValues(index, field) {
+        const recordOffset = this.recordOffset(index);
+        const values = [];
+        for (let j = 0; j < field.count; j++) {
+            const value = this.readValue(recordOffset + field.offset + (j * field.bytesPerField), cellType(field, j));
+            values.push(field.mask !== undefined ? (value & field.mask) >>> 0 : value);
+        }
+        return values;
+    }
+
+    /**
+     * Reads a record as a list of cell values per schema field
+     */
+    readRecord(index, schema) {
+        return schema.fields.map(field => this.readFieldValues(index, field));
+    }
+
+    toBuffer() {
+        return this.buffer;
+    }
+
+    write(filePath) {
+        fs.writeFileSync(filePath, this.buffer);
+    }
+}
+
+function writeValue(buffer, offset, type, value, stringTable) {
+    if (type === 'string') {
+        buffer.writeInt32LE(stringTable.add(value), offset);
+        return;
+    }
+    if (value === null || value === undefined) return;
+    if (type === 'float') buffer.writeFloatLE(Number(value), offset);
+    else if (type === 'ulong') buffer.writeBigUInt64LE(BigInt(value), offset);
+    else if (type === 'byte') buffer.writeUInt8(Number(value) & 0xff, offset);
+    // Signed and unsigned ints share the same 32-bit pattern
+    else buffer.writeInt32LE(Number(value) | 0, offset);
+}
+
+module.exports = {
+    DbcFile,
+    LOCALES,
+    HEADER_SIZE,
+    isLocalized,
+    valueType,
+    createStringTable
+};
@@ -0,0 +1,143 @@
+/**
+ * Record-level comparison of two versions of a DBC, and field-level comparison
+ * of two schema files
+ */
+
+const fs = require('fs');
+const { readDbc } = require('./rows');
+
+/**
+ * ULong values are BigInts when read from a file but decimal strings when read
+ * back from MySQL, so they are compared by their decimal form. -0.0 equals 0.0,
+ * and NaN equals NaN.
+ */
+function sameValue(a, b) {
+    if (typeof a === 'bigint' || typeof b === 'bigint') return String(a) === String(b);
+    if (typeof a === 'number' && typeof b === 'number') return a === b || (Number.isNaN(a) && Number.isNaN(b));
+    return a === b;
+}
+
+/**
+ * Compares two record lists by ID (or by row position for DBCs without an ID field).
+ * Changed rows list every column whose value differs, keyed by column name.
+ * keyedBy tells which: 'ID', or 'row' when the keys of added, removed and changed are positions.
+ */
+function diffRecords(oldRecords, newRecords) {
+    const hasId = (oldRecords[0] || newRecords[0] || {}).ID !== undefined;
+    const keyOf = (record, index) => hasId ? record.ID : index;
+    const oldByKey = new Map(oldRecords.map((record, i) => [keyOf(record, i), record]));
+    const newByKey = new Map(newRecords.map((record, i) => [keyOf(record, i), record]));
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, newRecord] of newByKey) {
+        const oldRecord = oldByKey.get(key);
+        if (!oldRecord) {
+            added.push(key);
+            continue;
+        }
+        const fields = {};
+        for (const column of Object.keys(newRecord)) {
+            if (!sameValue(oldRecord[column], newRecord[column])) {
+                fields[column] = { old: oldRecord[column], new: newRecord[column] };
+            }
+        }
+        if (Object.keys(fields).length > 0) changed.push({ ID: key, fields });
+    }
+    for (const key of oldByKey.keys()) {
+        if (!newByKey.has(key)) removed.push(key);
+    }
+
+    return { added, removed, changed, keyedBy: hasId ? 'ID' : 'row' };
+}
+
+/**
+ * Compares two .dbc files; a missing file counts as empty. Returns null when
+ * neither file exists.
+ */
+function diffDbcFiles(oldFile, newFile, schema, filterIds = null) {
+    const hasOld = fs.existsSync(oldFile);
+    const hasNew = fs.existsSync(newFile);
+    if (!hasOld && !hasNew) return null;
+
+    let oldRecords = hasOld ? readDbc(oldFile, schema).records : [];
+    let newRecords = hasNew ? readDbc(newFile, schema).records : [];
+    if (filterIds && filterIds.length > 0) {
+        oldRecords = oldRecords.filter(record => filterIds.includes(record.ID));
+        newRecords = newRecords.filter(record => filterIds.includes(record.ID));
+    }
+
+    return diffRecords(oldRecords, newRecords);
+}
+
+// Field properties that decide where and how a field is stored
+const LAYOUT_PROPERTIES = ['type', 'cellType', 'offset', 'isArray', 'count', 'bytesPerField'];
+
+function layoutChanges(oldField, newField) {
+    const changes = {};
+    for (const property of LAYOUT_PROPERTIES) {
+        if (oldField[property] !== newField[property]) changes[property] = { old: oldField[property], new: newField[property] };
+    }
+    return changes;
+}
+
+/**
+ * Compares the fields of two versions of a DBC schema by name. A removed and an
+ * added field at the same offset with the same size count as a rename.
+ * @returns {object} { added: [name], removed: [name], renamed: [{ from, to }], changed: [{ name, changes }] }
+ */
+function diffSchemaFields(oldSchema, newSchema) {
+    const oldByName = new Map(oldSchema.fields.map(field => [field.name, field]));
+    const newByName = new Map(newSchema.fields.map(field => [field.name, field]));
+
+    let added = newSchema.fields.filter(field => !oldByName.has(field.name));
+    let removed = oldSchema.fields.filter(field => !newByName.has(field.name));
+    const renamed = [];
+    const changed = [];
+
+    for (const field of newSchema.fields) {
+        const oldField = oldByName.get(field.name);
+        const changes = oldField ? layoutChanges(oldField, field) : {};
+        if (Object.keys(changes).length > 0) changed.push({ name: field.name, changes });
+    }
+
+    for (const field of added) {
+        const match = removed.find(old => old.offset === field.offset && old.count === field.count && old.bytesPerField === field.bytesPerField);
+        if (!match) continue;
+        renamed.push({ from: match.name, to: field.name });
+        const changes = layoutChanges(match, field);
+        if (Object.keys(changes).length > 0) changed.push({ name: field.name, changes });
+        removed = removed.filter(old => old !== match);
+    }
+    added = added.filter(field => !renamed.some(rename => rename.to === field.name));
+
+    return {
+        added: added.map(field => field.name),
+        removed: removed.map(field => field.name),
+        renamed,
+        changed
+    };
+}
+
+/**
+ * Compares two sets of schemas (see readSchemaFile). DBCs whose fields are
+ * identical are left out of `changed`.
+ * @returns {object} { added: [dbcName], removed: [dbcName], changed: { dbcName: diffSchemaFields result } }
+ */
+function diffSchemas(oldSchemas, newSchemas) {
+    const added = Object.keys(newSchemas).filter(name => !oldSchemas[name]).sort();
+    const removed = Object.keys(oldSchemas).filter(name => !newSchemas[name]).sort();
+    const changed = {};
+
+    for (const name of Object.keys(newSchemas).sort()) {
+        if (!oldSchemas[name]) continue;
+        const diff = diffSchemaFields(oldSchemas[name], newSchemas[name]);
+        if (diff.added.length + diff.removed.length + diff.renamed.length + diff.changed.length > 0) changed[name] = diff;
+    }
+
+    return { added, removed, changed };
+}
+
+module.exports = { sameValue, diffRecords, diffDbcFiles, diffSchemaFields, diffSchemas };
@@ -0,0 +1,381 @@
+/**
+ * Export of DBC files through a backend (see lib/backends). A backend is an object with:
+ *   useDatabase(database)          create/select the target database; returns the export state
+ *                                  (Map of dbc_name -> row) or null when it keeps none
+ *   tableExists(tableName)
+ *   writeEnumTables(enumValues)    { EnumName: { Member: value } } -> _enum_<Name> tables
+ *   writeRelationTable(rows)       rows from relationRows -> _dbc_relations
+ *   replaceTable(tableName, schema, records, options, onProgress) -> { inserted, path? }
+ *   upsertRows(tableName, schema, records, options) -> { added, changed, removed } (optional)
+ *   saveExportState(dbcName, fileInfo, exportOptions, schemaInfo, dataLoss) (required if useDatabase
+ *                                  returns state); schemaInfo is { hash, version, sourceCommit } of the
+ *                                  schema used, dataLoss the recordLoss reasons (stored as JSON, null if none)
+ *   createSnapshot({ label, module, moduleCommit }) -> snapshot id, a row of _snapshots (optional,
+ *                                  as are the three below; needed for --history)
+ *   listSnapshots() -> _snapshots rows, oldest first
+ *   writeHistory(tableName, schema, records, snapshotId, options) -> { added, changed, removed }
+ *   rebuildAsOf(tableName, snapshotId) -> { tableName, rows } of <table>_as_of_<id>, or null without history
+ *   close()
+ * All methods are async. Reading, validation and flattening are shared by every backend.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DbcFile, isLocalized } = require('./dbc-file');
+const { readDbc, findNonFiniteFloat } = require('./rows');
+const { inferSchema } = require('./infer-schema');
+const { validateDbc } = require('./validate');
+const { relationColumns, enumFields, schemaHash, withUnknownFields, describeSchemaVersion } = require('./schemas');
+const { sanitizeTableName } = require('./sql');
+
+// Bumped whenever createTableSchema changes column types, so older tables are rebuilt
+const TABLE_LAYOUT_VERSION = 3;
+
+/**
+ * Options that change what ends up in a table; a table exported with other options is never skipped
+ */
+function exportOptionsKey(options) {
+    const { allLocales = false, enums = null, limit = null, filterIds = null, unknownFields = true, snapshotId = null } = options;
+    const key = { layout: TABLE_LAYOUT_VERSION, allLocales, enums: Boolean(enums), limit, filterIds, unknownFields };
+    // Only history exports carry the flag, so turning history on once rebuilds each table into it
+    // while tables exported without history keep their key
+    if (snapshotId !== null) key.history = true;
+    return JSON.stringify(key);
+}
+
+/**
+ * Why a table exported with these options (the export_options of its export
+ * state) can't be turned back into the complete DBC file
+ * @returns {string[]} One reason per lossy option; empty when the table holds the whole file
+ */
+function lossyExportOptions(exportOptions, schema) {
+    let options;
+    try {
+        options = JSON.parse(exportOptions);
+    } catch (error) {
+        return [];
+    }
+    const reasons = [];
+    if (options.limit !== null && options.limit !== undefined) reasons.push(`exported with --limit ${options.limit}`);
+    if (options.filterIds) reasons.push(`exported with --ids ${options.filterIds.join(',')}`);
+    if (options.unknownFields === false) reasons.push('exported with --no-unknown-fields, so unmapped bytes would be zeroed');
+    if (!options.allLocales && schema.fields.some(isLocalized)) reasons.push('exported without --all-locales, so every locale but enUS would be emptied');
+    return reasons;
+}
+
+/**
+ * Why the exported records of a file wouldn't give it back byte for byte: the
+ * importer writes the rows of a table in ID order, and a table holds each ID once
+ * @param {object[]} records - As read from the file, before deduplication
+ * @param {number[]} [duplicates] - IDs dedupeRecords dropped
+ * @returns {string[]} Reasons in the words of lossyExportOptions; empty when nothing is lost
+ */
+function recordLoss(records, duplicates = []) {
+    const reasons = [];
+    if (records.length > 0 && 'ID' in records[0] && records.some((record, i) => i > 0 && record.ID < records[i - 1].ID)) {
+        reasons.push('exported from a file whose rows are not in ID order, so the import would reorder them');
+    }
+    if (duplicates.length > 0) {
+        const ids = `${duplicates.slice(0, 10).join(', ')}${duplicates.length > 10 ? ', ...' : ''}`;
+        reasons.push(`exported without the repeated rows of duplicate IDs (${ids}), so the import would leave them out`);
+    }
+    return reasons;
+}
+
+/**
+ * All reasons the table behind an export state row can't be turned back into
+ * the DBC file it was exported from: its options (lossyExportOptions) and what
+ * the export left out of the file (recordLoss)
+ */
+function lossyExportState(state, schema) {
+    let dataLoss = [];
+    try {
+        dataLoss = state.data_loss ? JSON.parse(state.data_loss) : [];
+    } catch (error) {
+        // A damaged entry is not worth refusing the import over
+    }
+    return [...lossyExportOptions(state.export_options, schema), ...dataLoss];
+}
+
+function getFileInfo(dbcFilePath) {
+    const stat = fs.statSync(dbcFilePath);
+    const hash = crypto.createHash('sha1').update(fs.readFileSync(dbcFilePath)).digest('hex');
+    return { hash, size: stat.size, mtime: Math.round(stat.mtimeMs) };
+}
+
+/**
+ * Keeps the first record for each ID; a duplicate key would abort a multi-row INSERT
+ */
+function dedupeRecords(records) {
+    if (records.length === 0 || !('ID' in records[0])) return { records, duplicates: [] };
+
+    const seen = new Set();
+    const duplicates = [];
+    const unique = records.filter(record => {
+        if (seen.has(record.ID)) {
+            duplicates.push(record.ID);
+            return false;
+        }
+        seen.add(record.ID);
+        return true;
+    });
+    return { records: unique, duplicates };
+}
+
+function formatRate(records, seconds) {
+    return `${Math.round(records / Math.max(seconds, 0.001))} rows/s`;
+}
+
+/**
+ * Rows of the _dbc_relations table: one per pointer column of the given DBCs
+ */
+function relationRows(schemas, dbcNames, relationOverrides = {}) {
+    return dbcNames.flatMap(dbcName => relationColumns(schemas[dbcName], relationOverrides).map(relation => ({
+        dbc: dbcName,
+        table_name: sanitizeTableName(dbcName),
+        field: relation.field,
+        column_name: relation.column,
+        target_dbc: relation.targetDbc,
+        target_table: sanitizeTableName(relation.targetDbc),
+        target_field: relation.targetField
+    })));
+}
+
+async function writeEnumTables(backend, schemas, dbcNames, enums) {
+    const missing = [...new Set(dbcNames.flatMap(dbcName => schemas[dbcName].fields
+        .filter(field => field.enumType && !enums[field.enumType])
+        .map(field => `${field.enumType} (${dbcName}.${field.name})`)))];
+    if (missing.length > 0) console.warn(`Warning: no values for ${missing.join(', ')} - not decoded`);
+
+    const enumNames = [...new Set(dbcNames.flatMap(dbcName => enumFields(schemas[dbcName], enums).map(field => field.enumType)))].sort();
+    if (enumNames.length === 0) return;
+
+    await backend.writeEnumTables(Object.fromEntries(enumNames.map(enumName => [enumName, enums[enumName]])));
+    console.log(`Enum lookup tables: ${enumNames.length}`);
+}
+
+async function writeRelationTable(backend, schemas, dbcNames, relationOverrides) {
+    const rows = relationRows(schemas, dbcNames, relationOverrides);
+    await backend.writeRelationTable(rows);
+    console.log(`Relations: ${rows.length}`);
+}
+
+/**
+ * Records the exported records in <table>_history for options.snapshotId.
+ * Rows are tracked by ID, so DBCs without an ID field get no history.
+ */
+async function writeHistory(backend, dbcName, tableName, schema, records, database, options) {
+    if (!schema.fields.some(field => field.name === 'ID')) {
+        console.warn(`[${database}.${dbcName}] Warning: no ID field - not recorded in the history`);
+        return;
+    }
+    const counts = await backend.writeHistory(tableName, schema, records, options.snapshotId, options);
+    console.log(`[${database}.${dbcName}] History (snapshot ${options.snapshotId}): ${counts.added} added, ${counts.changed} changed, ${counts.removed} removed`);
+}
+
+/**
+ * Exports one DBC file into a table of the backend's current database
+ * @param {object} backend - See the top of this file; unused with dryRun
+ * @param {string} dbcName
+ * @param {object} schema
+ * @param {string} dbcFolder - Folder holding <dbcName>.dbc
+ * @param {string} database - Database name, used for log prefixes
+ * @param {object} [options] - { filterIds, limit, allLocales, enums, relationOverrides, dryRun,
+ *                              force, upsert, skipValidation, exportState, schemaMeta, strictSchema,
+ *                              unknownFields (default true: unmapped bytes become unk_<fieldIndex> columns),
+ *                              snapshotId (also record the rows in <table>_history, see lib/history.js) }
+ * @returns {Promise<object>} { dbcName, success, records, database, skipped?, error? }; upserts
+ *                            also report { added, changed, removed }
+ */
+async function exportDbc(backend, dbcName, schema, dbcFolder, database, options = {}) {
+    const { filterIds = null, exportState = null } = options;
+    const dbcFilePath = path.join(dbcFolder, `${dbcName}.dbc`);
+    const exportOptions = exportOptionsKey(options);
+
+    if (!fs.existsSync(dbcFilePath)) {
+        return { dbcName, success: false, error: `File not found: ${dbcFilePath}`, database };
+    }
+
+    try {
+        const tableName = sanitizeTableName(dbcName);
+
+        // Skip files whose content is unchanged since they were last exported with the same options
+        const { version = null, sourceCommit = null } = options.schemaMeta || {};
+        const schemaInfo = { hash: schemaHash(schema), version, sourceCommit };
+        let fileInfo = null;
+        let previous = null;
+        if (exportState) {
+            fileInfo = getFileInfo(dbcFilePath);
+            previous = exportState.get(dbcName);
+            if (previous && !await backend.tableExists(tableName)) previous = null;
+
+            // Tables exported before schema hashes were recorded have none and are trusted
+            if (previous && previous.schema_hash && previous.schema_hash !== schemaInfo.hash) {
+                const exportedWith = describeSchemaVersion(previous.schema_version, previous.source_commit);
+                const current = describeSchemaVersion(version, sourceCommit);
+                const message = `Schema changed since the table was exported${exportedWith !== current ? ` (${exportedWith} → ${current})` : ''}`;
+                if (options.strictSchema) {
+                    return { dbcName, success: false, error: `${message}; run without --strict-schema to rebuild it`, database };
+                }
+                console.warn(`[${database}.${dbcName}] Warning: ${message} - rebuilding the table`);
+                previous = null;
+            } else if (previous && previous.export_options !== exportOptions) {
+                previous = null;
+            } else if (previous && !options.force && previous.file_hash === fileInfo.hash) {
+                console.log(`[${database}.${dbcName}] Unchanged since last export - skipped`);
+                return { dbcName, success: true, skipped: true, records: 0, database };
+            }
+        }
+
+        if (!options.skipValidation) {
+            const validation = validateDbc(dbcFilePath, schema);
+            if (validation.errors.length > 0) {
+                validation.errors.forEach(error => console.error(`[${database}.${dbcName}] ✗ ${error}`));
+                return { dbcName, success: false, error: `Validation failed (${validation.errors[0]}); use --skip-validation to export anyway`, database };
+            }
+        }
+
+        console.log(`\n[${database}.${dbcName}] Reading DBC file...`);
+
+        // The state keeps the hash of the schema itself; the unk_ columns follow from it and the record size
+        const tableSchema = options.unknownFields === false
+            ? schema
+            : withUnknownFields(schema, DbcFile.readHeader(dbcFilePath).recordSize);
+        const unknownCount = tableSchema.fields.length - schema.fields.length;
+        const data = readDbc(dbcFilePath, tableSchema, options);
+
+        // Filter by IDs if specified
+        if (filterIds && filterIds.length > 0) {
+            const originalCount = data.records.length;
+            data.records = data.records.filter(record => filterIds.includes(record.ID));
+            console.log(`[${database}.${dbcName}] Filtered ${originalCount} records to ${data.records.length} matching IDs: ${filterIds.join(', ')}`);
+        }
+
+        const deduped = dedupeRecords(data.records);
+        const dataLoss = recordLoss(data.records, deduped.duplicates);
+        if (deduped.duplicates.length > 0) {
+            console.warn(`[${database}.${dbcName}] Warning: skipped ${deduped.duplicates.length} duplicate IDs: ${deduped.duplicates.slice(0, 10).join(', ')}${deduped.duplicates.length > 10 ? ', ...' : ''}`);
+            data.records = deduped.records;
+        }
+
+        // Stored as NULL, the cell would be imported as 0
+        const nonFinite = findNonFiniteFloat(data.records, tableSchema, options);
+        if (nonFinite) {
+            const record = nonFinite.ID !== undefined ? `ID ${nonFinite.ID}` : `row ${nonFinite.row}`;
+            return { dbcName, success: false, error: `${record}, column ${nonFinite.column}: ${nonFinite.value} can't be stored in a FLOAT column; fix the value in the DBC`, database };
+        }
+
+        console.log(`[${database}.${dbcName}] Records: ${data.metadata.recordCount}, Fields: ${schema.fields.length}${unknownCount > 0 ? `, unk_ columns: ${unknownCount}` : ''}`);
+        console.log(`[${database}.${dbcName}] Exporting ${data.records.length} records to table: ${tableName}`);
+
+        if (options.dryRun) {
+            console.log(`[${database}.${dbcName}] DRY RUN - would create table and insert ${data.records.length} records`);
+            return { dbcName, success: true, records: data.records.length, database };
+        }
+
+        if (options.upsert && previous && backend.upsertRows && schema.fields.some(field => field.name === 'ID')) {
+            const counts = await backend.upsertRows(tableName, tableSchema, data.records, options);
+            console.log(`[${database}.${dbcName}] ✓ Complete - ${counts.added} added, ${counts.changed} changed, ${counts.removed} removed`);
+            if (options.snapshotId) await writeHistory(backend, dbcName, tableName, tableSchema, data.records, database, options);
+            await backend.saveExportState(dbcName, fileInfo, exportOptions, schemaInfo, dataLoss);
+            return { dbcName, success: true, records: counts.added + counts.changed, database, ...counts };
+        }
+
+        const startTime = Date.now();
+        const result = await backend.replaceTable(tableName, tableSchema, data.records, options, (progress) => {
+            process.stdout.write(`\r[${database}.${dbcName}] Inserted ${progress}/${data.records.length} records...`);
+        });
+        const seconds = (Date.now() - startTime) / 1000;
+
+        if (result.path) {
+            console.log(`[${database}.${dbcName}] ✓ Complete - ${result.inserted} records written to ${result.path}`);
+        } else {
+            console.log(`\n[${database}.${dbcName}] ✓ Complete - ${result.inserted} records inserted (${formatRate(result.inserted, seconds)})`);
+        }
+        // Saved last, so a failed history write is retried by the next export
+        if (options.snapshotId) await writeHistory(backend, dbcName, tableName, tableSchema, data.records, database, options);
+        if (exportState) await backend.saveExportState(dbcName, fileInfo, exportOptions, schemaInfo, dataLoss);
+        return { dbcName, success: true, records: result.inserted, database };
+
+    } catch (error) {
+        console.error(`[${database}.${dbcName}] ✗ Error:`, error.message);
+        return { dbcName, success: false, error: error.message, database };
+    }
+}
+
+/**
+ * Schemas for the DBCs of a folder: the given ones, plus generic field_N
+ * schemas inferred from the files that have none
+ * @returns {object} { schemas, errors: { dbcName: message } }
+ */
+function folderSchemas(schemas, dbcNames, dbcFolder, database) {
+    const result = { ...schemas };
+    const errors = {};
+    for (const dbcName of dbcNames) {
+        const dbcFilePath = path.join(dbcFolder, `${dbcName}.dbc`);
+        if (result[dbcName] || !fs.existsSync(dbcFilePath)) continue;
+        try {
+            result[dbcName] = inferSchema(dbcName, DbcFile.read(dbcFilePath));
+            console.warn(`[${database}.${dbcName}] No schema - exporting ${result[dbcName].fields.length} generic columns inferred from the file`);
+        } catch (error) {
+            errors[dbcName] = `No schema, and none could be inferred: ${error.message}`;
+        }
+    }
+    return { schemas: result, errors };
+}
+
+/**
+ * Exports a folder of DBC files into one database: selects the database, loads
+ * the incremental export state, writes the enum and relation tables when
+ * requested, then exports each DBC. DBCs without a schema are exported with
+ * columns inferred from the file (see inferSchema). With options.history, the
+ * export is recorded as a new snapshot first.
+ * @param {object} options - exportDbc options plus { relations, history: { label, module, moduleCommit } }
+ * @returns {Promise<object[]>} exportDbc results
+ */
+async function exportFolder(backend, schemas, dbcNames, dbcFolder, database, options = {}) {
+    const folder = folderSchemas(schemas, dbcNames, dbcFolder, database);
+    const known = dbcNames.filter(dbcName => folder.schemas[dbcName]);
+
+    let exportState = null;
+    let snapshotId = null;
+    if (!options.dryRun) {
+        exportState = await backend.useDatabase(database);
+        if (options.history) {
+            if (!backend.createSnapshot) throw new Error(`The ${backend.name} backend keeps no history`);
+            snapshotId = await backend.createSnapshot(options.history);
+            console.log(`[${database}] Snapshot ${snapshotId}${options.history.label ? ` (${options.history.label})` : ''}`);
+        }
+        if (options.enums) await writeEnumTables(backend, folder.schemas, known, options.enums);
+        if (options.relations) await writeRelationTable(backend, folder.schemas, known, options.relationOverrides);
+    }
+
+    const results = [];
+    for (const dbcName of dbcNames) {
+        if (folder.errors[dbcName]) {
+            console.error(`[${database}.${dbcName}] ✗ ${folder.errors[dbcName]}`);
+            results.push({ dbcName, success: false, error: folder.errors[dbcName], database });
+        } else if (!folder.schemas[dbcName]) {
+            results.push({ dbcName, success: false, error: `No schema and no file: ${path.join(dbcFolder, `${dbcName}.dbc`)}`, database });
+        } else {
+            results.push(await exportDbc(backend, dbcName, folder.schemas[dbcName], dbcFolder, database, { ...options, exportState, snapshotId }));
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    TABLE_LAYOUT_VERSION,
+    exportOptionsKey,
+    lossyExportOptions,
+    recordLoss,
+    lossyExportState,
+    getFileInfo,
+    dedupeRecords,
+    formatRate,
+    relationRows,
+    folderSchemas,
+    exportDbc,
+    exportFolder
+};
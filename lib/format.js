@@ -0,0 +1,66 @@
+/**
+ * Text output of records for the command-line readers: JSON, NDJSON, CSV and aligned tables
+ */
+
+const { jsonReplacer } = require('./rows');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'table'];
+
+// Longest value shown in a table cell before it is cut off
+const MAX_TABLE_WIDTH = 60;
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value, jsonReplacer);
+    return String(value);
+}
+
+function columnsOf(records) {
+    const columns = [];
+    const seen = new Set();
+    for (const record of records) {
+        for (const column of Object.keys(record)) {
+            if (!seen.has(column)) {
+                seen.add(column);
+                columns.push(column);
+            }
+        }
+    }
+    return columns;
+}
+
+function formatNdjson(records) {
+    return records.map(record => JSON.stringify(record, jsonReplacer)).join('\n');
+}
+
+// RFC 4180: fields with commas, quotes or line breaks are quoted, quotes doubled
+function formatCsv(records) {
+    const columns = columnsOf(records);
+    const escape = value => {
+        const text = cellText(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(escape).join(',')];
+    for (const record of records) lines.push(columns.map(column => escape(record[column])).join(','));
+    return lines.join('\n');
+}
+
+function formatTable(records) {
+    const columns = columnsOf(records);
+    const clip = text => {
+        const flat = text.replace(/\r?\n/g, '\\n');
+        return flat.length > MAX_TABLE_WIDTH ? `${flat.slice(0, MAX_TABLE_WIDTH - 3)}...` : flat;
+    };
+    const rows = records.map(record => columns.map(column => clip(cellText(record[column]))));
+    const widths = columns.map((column, c) => Math.max(column.length, ...rows.map(row => row[c].length)));
+    const numeric = columns.map(column => records.every(record => ['number', 'bigint'].includes(typeof record[column])));
+
+    const line = cells => cells.map((cell, c) => numeric[c] ? cell.padStart(widths[c]) : cell.padEnd(widths[c])).join('  ').trimEnd();
+    return [
+        line(columns),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.map(line)
+    ].join('\n');
+}
+
+module.exports = { FORMATS, formatNdjson, formatCsv, formatTable };
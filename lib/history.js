@@ -0,0 +1,57 @@
+/**
+ * Snapshot history (--history). Every history export is a snapshot, a row in
+ * the database's _snapshots table. <table>_history keeps each version of a row
+ * once, valid from the snapshot that wrote it (_valid_from) until the snapshot
+ * that changed or removed it (_valid_to, NULL while current). Backends store
+ * the rows; what changed is worked out here.
+ */
+
+const { diffRecords } = require('./diff');
+
+function historyTableName(tableName) {
+    return `${tableName}_history`;
+}
+
+// Table a rebuild writes the rows valid at a snapshot into
+function asOfTableName(tableName, snapshotId) {
+    return `${tableName}_as_of_${snapshotId}`;
+}
+
+/**
+ * Compares the current rows of a history table (_valid_to NULL) with the
+ * records of a new export.
+ * @returns {object} { added, changed, removed } counts, closedIds (rows to end at
+ *                   this snapshot: changed and removed) and rows (new versions
+ *                   to insert, with _valid_from set)
+ */
+function historyChanges(currentRows, records, snapshotId) {
+    const diff = diffRecords(currentRows, records);
+    const changedIds = diff.changed.map(change => change.ID);
+    const newIds = new Set([...diff.added, ...changedIds]);
+
+    return {
+        added: diff.added.length,
+        changed: diff.changed.length,
+        removed: diff.removed.length,
+        closedIds: [...changedIds, ...diff.removed],
+        rows: records.filter(record => newIds.has(record.ID)).map(record => ({ ...record, _valid_from: snapshotId, _valid_to: null }))
+    };
+}
+
+// "3 (2024-05-01 12:00:00, "before rebalance", module a1b2c3d)" for listings
+function describeSnapshot(snapshot) {
+    const createdAt = snapshot.created_at instanceof Date
+        ? snapshot.created_at.toISOString().replace('T', ' ').slice(0, 19)
+        : String(snapshot.created_at);
+    const details = [createdAt];
+    if (snapshot.label) details.push(JSON.stringify(snapshot.label));
+    if (snapshot.module_commit) details.push(`${snapshot.module} ${String(snapshot.module_commit).slice(0, 7)}`);
+    return `${snapshot.id} (${details.join(', ')})`;
+}
+
+module.exports = {
+    historyTableName,
+    asOfTableName,
+    historyChanges,
+    describeSnapshot
+};
@@ -0,0 +1,34 @@
+/**
+ * Public API of tswow-module-dbcs-to-mysql. The CLI scripts in the repository
+ * root are thin wrappers around these functions.
+ *
+ * Example:
+ *   const { DbcFile, loadSchemas, readDbc } = require('tswow-module-dbcs-to-mysql');
+ *   const schemas = loadSchemas();
+ *   const { records } = readDbc('Spell.dbc', schemas.Spell, { limit: 10 });
+ */
+
+module.exports = {
+    ...require('./dbc-file'),
+    ...require('./rows'),
+    ...require('./schemas'),
+    ...require('./validate'),
+    ...require('./diff'),
+    ...require('./sql'),
+    ...require('./export'),
+    ...require('./query'),
+    ...require('./format'),
+    ...require('./ts-parser'),
+    ...require('./dbc-definitions'),
+    ...require('./infer-schema'),
+    ...require('./query-server'),
+    ...require('./datascript'),
+    ...require('./world'),
+    ...require('./search'),
+    ...require('./history'),
+    ...require('./watch'),
+    ...require('./bzip2'),
+    ...require('./mpq'),
+    ...require('./backends/mysql'),
+    ...require('./backends/sqlite')
+};
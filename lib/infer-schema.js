@@ -0,0 +1,68 @@
+/**
+ * Generic schemas for DBC files that no schema describes: one field_N column
+ * per 4-byte field of the header, typed by looking at the values
+ */
+
+// Floats stored by datascripts are well inside this range; ints read as floats are not
+const MIN_FLOAT = 1e-6;
+const MAX_FLOAT = 1e9;
+
+function looksLikeFloat(bits) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(bits);
+    const value = Math.abs(buffer.readFloatLE(0));
+    return Number.isFinite(value) && value >= MIN_FLOAT && value <= MAX_FLOAT;
+}
+
+/**
+ * Guesses the type of a column from its raw 32-bit values: 'string' when every
+ * non-zero value is the start of a string in the string table, 'float' when
+ * every non-zero value reads as a plausible float, 'int' otherwise
+ */
+function inferColumnType(values, file) {
+    const nonZero = values.filter(value => value !== 0);
+    if (nonZero.length === 0) return 'int';
+
+    const stringStart = offset => offset < file.stringSize && file.buffer[file.stringTableStart + offset - 1] === 0;
+    // 0/1 columns would otherwise pass as strings: offset 1 always starts one
+    if (file.stringSize > 1 && nonZero.some(value => value > 1) && nonZero.every(stringStart)) return 'string';
+    if (nonZero.every(looksLikeFloat)) return 'float';
+    return 'int';
+}
+
+const CELL_TYPES = { int: 'DBCIntCell', float: 'DBCFloatCell', string: 'DBCStringCell' };
+
+/**
+ * Builds a schema with one 4-byte field per column of the file. The first
+ * column is named ID when its values are unique, as in every stock DBC, so
+ * the table gets a primary key; the others are field_<index>.
+ * @param {string} dbcName
+ * @param {DbcFile} file
+ * @returns {object} Schema with `inferred: true`
+ */
+function inferSchema(dbcName, file) {
+    const columnCount = Math.floor(file.recordSize / 4);
+    const fields = [];
+
+    for (let c = 0; c < columnCount; c++) {
+        const values = [];
+        for (let i = 0; i < file.recordCount; i++) values.push(file.buffer.readUInt32LE(file.recordOffset(i) + (c * 4)));
+
+        const type = inferColumnType(values, file);
+        const isId = c === 0 && type === 'int' && new Set(values).size === values.length;
+        fields.push({
+            name: isId ? 'ID' : `field_${c}`,
+            type,
+            offset: c * 4,
+            isArray: false,
+            count: 1,
+            cellType: CELL_TYPES[type],
+            bytesPerField: 4,
+            fieldIndex: c
+        });
+    }
+
+    return { name: dbcName, totalFields: columnCount, inferred: true, fields };
+}
+
+module.exports = { inferColumnType, inferSchema };
@@ -0,0 +1,472 @@
+/**
+ * MPQ archive reader (format versions 1 and 2, as used by the 3.3.5a client)
+ * and the client's patch chain, for reading DBFilesClient\*.dbc without
+ * extracting by hand. Archives are read on demand, never loaded whole.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { decompressBzip2 } = require('./bzip2');
+
+const MPQ_MAGIC = 0x1a51504d; // 'MPQ\x1A'
+const USER_DATA_MAGIC = 0x1b51504d; // 'MPQ\x1B'
+
+const FILE_IMPLODE = 0x00000100;
+const FILE_COMPRESS = 0x00000200;
+const FILE_ENCRYPTED = 0x00010000;
+const FILE_FIX_KEY = 0x00020000;
+const FILE_PATCH_FILE = 0x00100000;
+const FILE_SINGLE_UNIT = 0x01000000;
+const FILE_DELETE_MARKER = 0x02000000;
+const FILE_SECTOR_CRC = 0x04000000;
+const FILE_EXISTS = 0x80000000;
+
+const HASH_ENTRY_EMPTY = 0xffffffff;
+const HASH_ENTRY_DELETED = 0xfffffffe;
+
+const HASH_TABLE_INDEX = 0;
+const HASH_NAME_A = 1;
+const HASH_NAME_B = 2;
+const HASH_FILE_KEY = 3;
+
+// Windows LCIDs in the hash table's locale field, by client locale; 0 is locale-neutral
+const LOCALE_IDS = {
+    enUS: 0x409, enGB: 0x809, deDE: 0x407, frFR: 0x40c, esES: 0x40a, esMX: 0x80a,
+    ruRU: 0x419, koKR: 0x412, zhCN: 0x804, zhTW: 0x404, ptBR: 0x416, ptPT: 0x816, itIT: 0x410
+};
+
+const COMPRESSION_ZLIB = 0x02;
+const COMPRESSION_BZIP2 = 0x10;
+
+const CRYPT_TABLE = (() => {
+    const table = new Uint32Array(0x500);
+    let seed = 0x00100001;
+    for (let i = 0; i < 0x100; i++) {
+        for (let j = 0; j < 5; j++) {
+            seed = ((seed * 125) + 3) % 0x2aaaab;
+            const high = (seed & 0xffff) << 16;
+            seed = ((seed * 125) + 3) % 0x2aaaab;
+            table[i + (j * 0x100)] = (high | (seed & 0xffff)) >>> 0;
+        }
+    }
+    return table;
+})();
+
+/**
+ * The MPQ string hash; names are case-insensitive and use backslashes
+ * @param {string} name
+ * @param {number} hashType - HASH_TABLE_INDEX, HASH_NAME_A, HASH_NAME_B or HASH_FILE_KEY
+ */
+function hashString(name, hashType) {
+    let seed1 = 0x7fed7fed;
+    let seed2 = 0xeeeeeeee;
+    for (const char of name.toUpperCase().replace(/\//g, '\\')) {
+        const code = char.charCodeAt(0) & 0xff;
+        seed1 = (CRYPT_TABLE[(hashType << 8) + code] ^ (seed1 + seed2)) >>> 0;
+        seed2 = (code + seed1 + seed2 + (seed2 << 5) + 3) >>> 0;
+    }
+    return seed1;
+}
+
+/**
+ * Decrypts the whole 32-bit words of buffer in place; trailing bytes are not encrypted
+ */
+function decryptBlock(buffer, key) {
+    let seed = 0xeeeeeeee;
+    for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+        seed = (seed + CRYPT_TABLE[0x400 + (key & 0xff)]) >>> 0;
+        const value = (buffer.readUInt32LE(offset) ^ (key + seed)) >>> 0;
+        buffer.writeUInt32LE(value, offset);
+        key = ((((~key) << 21) + 0x11111111) | (key >>> 11)) >>> 0;
+        seed = (value + seed + (seed << 5) + 3) >>> 0;
+    }
+    return buffer;
+}
+
+/**
+ * Encrypts the whole 32-bit words of buffer in place; the inverse of decryptBlock, for writing archives
+ */
+function encryptBlock(buffer, key) {
+    let seed = 0xeeeeeeee;
+    for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+        seed = (seed + CRYPT_TABLE[0x400 + (key & 0xff)]) >>> 0;
+        const value = buffer.readUInt32LE(offset);
+        buffer.writeUInt32LE((value ^ (key + seed)) >>> 0, offset);
+        key = ((((~key) << 21) + 0x11111111) | (key >>> 11)) >>> 0;
+        seed = (value + seed + (seed << 5) + 3) >>> 0;
+    }
+    return buffer;
+}
+
+function decompressSector(data, expectedSize, fileName) {
+    const compression = data[0];
+    let result;
+    if (compression === COMPRESSION_ZLIB) {
+        result = zlib.inflateSync(data.subarray(1));
+    } else if (compression === COMPRESSION_BZIP2) {
+        result = decompressBzip2(data.subarray(1));
+    } else {
+        throw new Error(`${fileName}: unsupported MPQ compression 0x${compression.toString(16)} (only zlib and bzip2 are supported)`);
+    }
+    if (result.length !== expectedSize) throw new Error(`${fileName}: sector decompressed to ${result.length} bytes, expected ${expectedSize}`);
+    return result;
+}
+
+class MpqArchive {
+    /**
+     * Opens an archive and reads its hash and block tables; close() releases the file
+     * @param {string} filePath
+     * @param {string} [locale] - Client locale (enUS, ...) whose files are preferred
+     */
+    constructor(filePath, locale = null) {
+        this.path = filePath;
+        this.localeId = LOCALE_IDS[locale] || 0;
+        this.fd = fs.openSync(filePath, 'r');
+        try {
+            this.readTables();
+        } catch (error) {
+            this.close();
+            throw new Error(`${path.basename(filePath)}: ${error.message}`);
+        }
+    }
+
+    read(position, length) {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(this.fd, buffer, 0, length, position);
+        if (bytesRead !== length) throw new Error(`unexpected end of file at ${position}`);
+        return buffer;
+    }
+
+    // The header is at the start of the file, at a 512-byte boundary, or where an MPQ\x1B user data block points
+    findHeader() {
+        const size = fs.fstatSync(this.fd).size;
+        for (let position = 0; position + 32 <= size; position += 0x200) {
+            const magic = this.read(position, 4).readUInt32LE(0);
+            if (magic === MPQ_MAGIC) return position;
+            if (magic === USER_DATA_MAGIC) {
+                const headerPosition = position + this.read(position + 8, 4).readUInt32LE(0);
+                if (this.read(headerPosition, 4).readUInt32LE(0) === MPQ_MAGIC) return headerPosition;
+            }
+        }
+        throw new Error('not an MPQ archive');
+    }
+
+    readTables() {
+        this.archiveOffset = this.findHeader();
+        const header = this.read(this.archiveOffset, 44);
+        const formatVersion = header.readUInt16LE(12);
+        this.sectorSize = 0x200 << header.readUInt16LE(14);
+
+        // Version 2 headers (formatVersion 1) add the high 16 bits of the table and block offsets for archives over 4 GB
+        let hashTableOffset = header.readUInt32LE(16);
+        let blockTableOffset = header.readUInt32LE(20);
+        const hashTableEntries = header.readUInt32LE(24);
+        const blockTableEntries = header.readUInt32LE(28);
+        let hiBlockTableOffset = 0;
+        if (formatVersion >= 1) {
+            hiBlockTableOffset = Number(header.readBigUInt64LE(32));
+            hashTableOffset += header.readUInt16LE(40) * 0x100000000;
+            blockTableOffset += header.readUInt16LE(42) * 0x100000000;
+        }
+
+        const hashTable = decryptBlock(this.read(this.archiveOffset + hashTableOffset, hashTableEntries * 16), hashString('(hash table)', HASH_FILE_KEY));
+        const blockTable = decryptBlock(this.read(this.archiveOffset + blockTableOffset, blockTableEntries * 16), hashString('(block table)', HASH_FILE_KEY));
+        const hiBlockTable = hiBlockTableOffset ? this.read(this.archiveOffset + hiBlockTableOffset, blockTableEntries * 2) : null;
+
+        this.hashes = [];
+        for (let i = 0; i < hashTableEntries; i++) {
+            const offset = i * 16;
+            this.hashes.push({
+                nameA: hashTable.readUInt32LE(offset),
+                nameB: hashTable.readUInt32LE(offset + 4),
+                locale: hashTable.readUInt16LE(offset + 8),
+                blockIndex: hashTable.readUInt32LE(offset + 12)
+            });
+        }
+
+        this.blocks = [];
+        for (let i = 0; i < blockTableEntries; i++) {
+            const offset = i * 16;
+            this.blocks.push({
+                offset: blockTable.readUInt32LE(offset),
+                position: blockTable.readUInt32LE(offset) + (hiBlockTable ? hiBlockTable.readUInt16LE(i * 2) * 0x100000000 : 0),
+                compressedSize: blockTable.readUInt32LE(offset + 4),
+                fileSize: blockTable.readUInt32LE(offset + 8),
+                flags: blockTable.readUInt32LE(offset + 12)
+            });
+        }
+    }
+
+    /**
+     * The block entry of a file, or null when the archive doesn't have it.
+     * Like StormLib, the entry for the archive's locale is preferred, then the
+     * locale-neutral one, then any other locale.
+     */
+    findBlock(fileName) {
+        const count = this.hashes.length;
+        if (count === 0) return null;
+
+        const nameA = hashString(fileName, HASH_NAME_A);
+        const nameB = hashString(fileName, HASH_NAME_B);
+        let neutral = null;
+        let other = null;
+        const start = hashString(fileName, HASH_TABLE_INDEX) % count;
+        for (let i = 0; i < count; i++) {
+            const entry = this.hashes[(start + i) % count];
+            if (entry.blockIndex === HASH_ENTRY_EMPTY) break;
+            if (entry.blockIndex === HASH_ENTRY_DELETED || entry.nameA !== nameA || entry.nameB !== nameB) continue;
+            const block = this.blocks[entry.blockIndex];
+            if (!block || !(block.flags & FILE_EXISTS)) continue;
+            if (entry.locale === this.localeId) return block;
+            if (entry.locale === 0) neutral = neutral || block;
+            else other = other || block;
+        }
+        return neutral || other;
+    }
+
+    hasFile(fileName) {
+        return this.findBlock(fileName) !== null;
+    }
+
+    /**
+     * Whether the archive deletes the file from the archives below it in a patch chain
+     */
+    isDeleted(fileName) {
+        const block = this.findBlock(fileName);
+        return block !== null && Boolean(block.flags & FILE_DELETE_MARKER);
+    }
+
+    /**
+     * Reads and decompresses a file
+     * @returns {Buffer|null} null when the archive doesn't have it or deletes it
+     */
+    readFile(fileName) {
+        const block = this.findBlock(fileName);
+        if (!block || (block.flags & FILE_DELETE_MARKER)) return null;
+        if (block.flags & FILE_PATCH_FILE) throw new Error(`${fileName}: patch files (PTCH) are not supported`);
+        if (block.flags & FILE_IMPLODE) throw new Error(`${fileName}: PKWARE-imploded files are not supported`);
+
+        // The key comes from the file name without its folder
+        let key = 0;
+        if (block.flags & FILE_ENCRYPTED) {
+            key = hashString(fileName.replace(/\//g, '\\').split('\\').pop(), HASH_FILE_KEY);
+            if (block.flags & FILE_FIX_KEY) key = ((key + block.offset) ^ block.fileSize) >>> 0;
+        }
+
+        const data = this.read(this.archiveOffset + block.position, block.compressedSize);
+        const compressed = Boolean(block.flags & FILE_COMPRESS);
+
+        if (block.flags & FILE_SINGLE_UNIT) {
+            if (key) decryptBlock(data, key);
+            return compressed && block.compressedSize < block.fileSize ? decompressSector(data, block.fileSize, fileName) : data;
+        }
+
+        const sectorCount = Math.ceil(block.fileSize / this.sectorSize);
+        let sectorOffsets;
+        if (compressed) {
+            // Offset table: sectorCount + 1 entries, plus one for the CRC block
+            const tableLength = (sectorCount + 1 + (block.flags & FILE_SECTOR_CRC ? 1 : 0)) * 4;
+            const table = data.subarray(0, tableLength);
+            if (key) decryptBlock(table, (key - 1) >>> 0);
+            sectorOffsets = Array.from({ length: sectorCount + 1 }, (_, i) => table.readUInt32LE(i * 4));
+        } else {
+            sectorOffsets = Array.from({ length: sectorCount + 1 }, (_, i) => Math.min(i * this.sectorSize, block.fileSize));
+        }
+
+        const sectors = [];
+        for (let i = 0; i < sectorCount; i++) {
+            const sector = data.subarray(sectorOffsets[i], sectorOffsets[i + 1]);
+            if (key) decryptBlock(sector, (key + i) >>> 0);
+            const expectedSize = Math.min(this.sectorSize, block.fileSize - (i * this.sectorSize));
+            sectors.push(compressed && sector.length < expectedSize ? decompressSector(sector, expectedSize, fileName) : sector);
+        }
+        return Buffer.concat(sectors, block.fileSize);
+    }
+
+    /**
+     * Names from the archive's (listfile), if it has one
+     */
+    listFiles() {
+        const listfile = this.readFile('(listfile)');
+        return listfile ? listfile.toString('latin1').split(/[\r\n;]+/).map(name => name.trim()).filter(Boolean) : [];
+    }
+
+    close() {
+        if (this.fd !== null) fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
+
+// patch.MPQ, then patch-2 ... patch-9, then custom patch-A ... patch-Z
+function patchOrder(fileName) {
+    const match = /-([0-9A-Z])\.MPQ$/i.exec(fileName);
+    return match ? match[1].toUpperCase() : '';
+}
+
+/**
+ * The archives of a client Data folder in the order the 3.3.5a client loads
+ * them, lowest priority first: base archives, locale archives, patch-N and
+ * then patch-<locale>-N. A later archive overrides or deletes files of the
+ * earlier ones.
+ * @param {string} dataPath - The client's Data folder
+ * @param {string} locale - e.g. enUS; the Data/<locale> folder
+ * @returns {string[]} Archive paths
+ */
+function clientArchivePaths(dataPath, locale) {
+    const localePath = path.join(dataPath, locale);
+    const find = (folder, names) => {
+        const files = fs.existsSync(folder) ? fs.readdirSync(folder) : [];
+        return names.flatMap(name => files.filter(file => file.toLowerCase() === name.toLowerCase())).map(file => path.join(folder, file));
+    };
+    const patches = (folder, prefix) => {
+        const pattern = new RegExp(`^${prefix}(-[0-9A-Z])?\\.MPQ$`, 'i');
+        const files = fs.existsSync(folder) ? fs.readdirSync(folder).filter(file => pattern.test(file)) : [];
+        return files.sort((a, b) => patchOrder(a).localeCompare(patchOrder(b), 'en')).map(file => path.join(folder, file));
+    };
+
+    return [
+        ...find(dataPath, ['common.MPQ', 'common-2.MPQ', 'expansion.MPQ', 'lichking.MPQ']),
+        ...find(localePath, ['locale', 'speech', 'expansion-locale', 'expansion-speech', 'lichking-locale', 'lichking-speech'].map(name => `${name}-${locale}.MPQ`)),
+        ...patches(dataPath, 'patch'),
+        ...patches(localePath, `patch-${locale}`)
+    ];
+}
+
+/**
+ * Locale folders of a client Data folder (Data/enUS, ...)
+ */
+function clientLocales(dataPath) {
+    return fs.readdirSync(dataPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && /^[a-z]{2}[A-Z]{2}$/.test(entry.name))
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Opens every archive of a client Data folder as one patch chain.
+ * @param {string} dataPath
+ * @param {string} [locale] - Required when the folder has several locales
+ * @returns {object} { locale, archives, readFile(name) -> { data, archive } | null, listFiles(), close() }
+ */
+function openClientData(dataPath, locale = null) {
+    if (!fs.existsSync(dataPath)) throw new Error(`Client Data folder not found: ${dataPath}`);
+    if (!locale) {
+        const locales = clientLocales(dataPath);
+        if (locales.length === 0) throw new Error(`No locale folder (enUS, deDE, ...) in ${dataPath}`);
+        if (locales.length > 1) {
+            const error = new Error(`${dataPath} has several locales (${locales.join(', ')})`);
+            error.hint = 'Pick one with --mpq-locale LOCALE';
+            throw error;
+        }
+        locale = locales[0];
+    }
+
+    const archivePaths = clientArchivePaths(dataPath, locale);
+    if (archivePaths.length === 0) throw new Error(`No MPQ archives found in ${dataPath}`);
+
+    const archives = [];
+    try {
+        archivePaths.forEach(archivePath => archives.push(new MpqArchive(archivePath, locale)));
+    } catch (error) {
+        archives.forEach(archive => archive.close());
+        throw error;
+    }
+    // Highest priority first
+    const lookup = [...archives].reverse();
+
+    return {
+        locale,
+        archives,
+        readFile(fileName) {
+            for (const archive of lookup) {
+                if (archive.isDeleted(fileName)) return null;
+                const data = archive.readFile(fileName);
+                if (data) return { data, archive };
+            }
+            return null;
+        },
+        listFiles() {
+            return [...new Set(archives.flatMap(archive => archive.listFiles()))];
+        },
+        close() {
+            archives.forEach(archive => archive.close());
+        }
+    };
+}
+
+/**
+ * Names of the DBFilesClient\*.dbc files in the client's (listfile)s
+ */
+function listClientDbcs(client) {
+    return client.listFiles()
+        .map(name => /^DBFilesClient[\\/]([^\\/]+)\.dbc$/i.exec(name))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+/**
+ * Writes the client's DBFilesClient\<name>.dbc files, as resolved through the
+ * patch chain, into a folder so the regular export can read them. Files with
+ * unchanged content are not rewritten, so incremental exports still skip them.
+ * @param {object} client - From openClientData
+ * @param {string} folder
+ * @param {string[]} dbcNames - Names are case-insensitive; the last spelling of a name is used
+ * @returns {object[]} [{ dbcName, archive }] for every DBC found; archive is the file name of the MPQ it came from
+ */
+function extractClientDbcs(client, folder, dbcNames) {
+    const names = [...new Map(dbcNames.map(name => [name.toLowerCase(), name])).values()].sort();
+
+    fs.mkdirSync(folder, { recursive: true });
+    const extracted = [];
+    for (const dbcName of names) {
+        const file = client.readFile(`DBFilesClient\\${dbcName}.dbc`);
+        if (!file) continue;
+
+        const filePath = path.join(folder, `${dbcName}.dbc`);
+        if (!fs.existsSync(filePath) || !fs.readFileSync(filePath).equals(file.data)) fs.writeFileSync(filePath, file.data);
+        extracted.push({ dbcName, archive: path.basename(file.archive.path) });
+    }
+    return extracted;
+}
+
+/**
+ * Folder the DBCs of an opened client are extracted to, under the system temp
+ * folder. It is kept between runs as a cache, keyed by the Data folder, the
+ * locale and the size and mtime of every archive: patching the client gives a
+ * new folder, and the folders of older archive versions are removed.
+ * @param {string} dataPath
+ * @param {object} client - From openClientData
+ */
+function clientDbcFolder(dataPath, client) {
+    const sha1 = text => crypto.createHash('sha1').update(text).digest('hex').slice(0, 8);
+    const prefix = `${sha1(path.resolve(dataPath))}-${client.locale}-`;
+    const stamp = sha1(client.archives.map(archive => {
+        const stat = fs.statSync(archive.path);
+        return `${path.basename(archive.path)}:${stat.size}:${Math.round(stat.mtimeMs)}`;
+    }).join('\n'));
+
+    const root = path.join(os.tmpdir(), 'tswow-dbc-client');
+    const folder = path.join(root, prefix + stamp);
+    if (fs.existsSync(root)) {
+        fs.readdirSync(root)
+            .filter(name => name.startsWith(prefix) && name !== prefix + stamp)
+            .forEach(name => fs.rmSync(path.join(root, name), { recursive: true, force: true }));
+    }
+    return folder;
+}
+
+module.exports = {
+    hashString,
+    decryptBlock,
+    encryptBlock,
+    MpqArchive,
+    clientArchivePaths,
+    clientLocales,
+    openClientData,
+    listClientDbcs,
+    extractClientDbcs,
+    clientDbcFolder
+};
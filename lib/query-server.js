@@ -0,0 +1,425 @@
+/**
+ * Tools for AI assistants over the Model Context Protocol (JSON-RPC 2.0, one
+ * message per line on stdio). Everything is read from the module's dbc and
+ * dbc_source folders; no MySQL is involved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DbcFile, LOCALES, isLocalized } = require('./dbc-file');
+const { flattenRecord, nestRecord, jsonReplacer } = require('./rows');
+const { getModulePaths, loadModuleSchemas, relationColumns, describeSchemaVersion } = require('./schemas');
+const { diffRecords } = require('./diff');
+const { compileFilter, compileProjection } = require('./query');
+
+const SERVER_INFO = { name: 'tswow-dbc', version: require('../package.json').version };
+
+// Protocol revisions this server speaks; the newest is offered to other clients
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SOURCES = ['dbc', 'dbc_source'];
+const SEARCH_OPERATORS = /^(!=|>=|<=|!~|=|>|<|&|~)/;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+/**
+ * Error thrown by a tool; reported to the assistant as a tool result with isError
+ */
+class ToolError extends Error {}
+
+const dbcArgument = { type: 'string', description: 'DBC name as listed by list_dbcs, e.g. Spell' };
+const sourceArgument = { type: 'string', enum: SOURCES, description: 'dbc (after datascripts, default) or dbc_source (original data)' };
+const moduleArgument = { type: 'string', description: 'TSWoW module (default: the server\'s module)' };
+
+const TOOLS = [
+    {
+        name: 'list_dbcs',
+        description: 'Lists the DBCs that have a schema and a file in the module, with their record counts in dbc and dbc_source.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filter: { type: 'string', description: 'Only DBCs whose name contains this text (case-insensitive)' },
+                module: moduleArgument
+            }
+        }
+    },
+    {
+        name: 'describe_dbc',
+        description: 'Describes the fields of a DBC: type, TSWoW cell type, array size, description, enum/flag names and the DBCs it points to or is pointed at by.',
+        inputSchema: {
+            type: 'object',
+            properties: { dbc: dbcArgument, module: moduleArgument },
+            required: ['dbc']
+        }
+    },
+    {
+        name: 'get_record',
+        description: 'Returns one record by ID, with enum and flag fields decoded to their names.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dbc: dbcArgument,
+                id: { type: 'integer', description: 'Value of the ID field' },
+                source: sourceArgument,
+                all_locales: { type: 'boolean', description: 'Return every locale of localized strings instead of only enUS' },
+                module: moduleArgument
+            },
+            required: ['dbc', 'id']
+        }
+    },
+    {
+        name: 'search',
+        description: 'Finds records whose field matches a pattern. A plain pattern is a case-insensitive substring; '
+            + 'a leading operator compares instead: "=5", "!=0", ">=100", "<10", "&4" (any of these bits set), "~text", "!~text".',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dbc: dbcArgument,
+                field: { type: 'string', description: 'Field name (matches any element of an array) or column such as Reagent_2 or Name_deDE' },
+                pattern: { type: 'string' },
+                fields: { type: 'array', items: { type: 'string' }, description: 'Fields to return besides ID and the searched field' },
+                source: sourceArgument,
+                limit: { type: 'integer', description: 'Maximum number of records (default: 20)' },
+                module: moduleArgument
+            },
+            required: ['dbc', 'field', 'pattern']
+        }
+    },
+    {
+        name: 'diff_record',
+        description: 'Compares a record between dbc_source (original) and dbc (after datascripts): added, removed, changed or unchanged, with every changed column.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dbc: dbcArgument,
+                id: { type: 'integer', description: 'Value of the ID field' },
+                module: moduleArgument
+            },
+            required: ['dbc', 'id']
+        }
+    }
+];
+
+/**
+ * Names of the enum members matching a value: the member for enums, every set
+ * bit's member for flags. Values are compared as unsigned 32-bit numbers.
+ */
+function decodeEnumValue(value, members, kind) {
+    if (typeof value !== 'number') return null;
+    const unsigned = value >>> 0;
+    const entries = Object.entries(members);
+    if (kind === 'flags') {
+        return entries
+            .filter(([, bit]) => (bit >>> 0) !== 0 && ((unsigned & (bit >>> 0)) >>> 0) === (bit >>> 0))
+            .map(([name]) => name);
+    }
+    const match = entries.find(([, member]) => (member >>> 0) === unsigned);
+    return match ? match[0] : null;
+}
+
+/**
+ * @param {object} options - { config, moduleName, schemas, schemaMeta, enums, relationOverrides }
+ *   config is config.json (only tswowInstallPath is used); schemas are those of dbc-schemas.json,
+ *   each module adds its own (see loadModuleSchemas)
+ * @returns {object} { tools, callTool(name, args), handleMessage(message) }
+ */
+function createQueryServer(options) {
+    const { config, moduleName, schemas, schemaMeta = {}, enums = {}, relationOverrides = {} } = options;
+    // Parsed files and their ID index, reloaded when the file changes on disk
+    const files = new Map();
+    // Schemas per module: custom and patched DBC layouts from its datascripts and override file
+    const moduleSchemas = new Map();
+
+    function schemasOf(module = moduleName) {
+        if (!moduleSchemas.has(module)) {
+            try {
+                moduleSchemas.set(module, loadModuleSchemas(config, module, schemas).schemas);
+            } catch (error) {
+                throw new ToolError(`Schemas of module ${module}: ${error.message}`);
+            }
+        }
+        return moduleSchemas.get(module);
+    }
+
+    function schemaFor(dbcName, module) {
+        const available = schemasOf(module);
+        if (typeof dbcName !== 'string' || !available[dbcName]) {
+            throw new ToolError(`Unknown DBC "${dbcName}"; use list_dbcs for the available names`);
+        }
+        return available[dbcName];
+    }
+
+    function folderOf(source = 'dbc', module = moduleName) {
+        if (!SOURCES.includes(source)) throw new ToolError('source must be "dbc" or "dbc_source"');
+        const paths = getModulePaths(config, module);
+        return source === 'dbc' ? paths.dbcPath : paths.dbcSourcePath;
+    }
+
+    function openFile(dbcName, source, module) {
+        const filePath = path.join(folderOf(source, module), `${dbcName}.dbc`);
+        if (!fs.existsSync(filePath)) return null;
+
+        const stat = fs.statSync(filePath);
+        const cached = files.get(filePath);
+        if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+
+        const entry = { mtimeMs: stat.mtimeMs, size: stat.size, file: DbcFile.read(filePath), ids: null };
+        files.set(filePath, entry);
+        return entry;
+    }
+
+    function recordIndex(entry, schema, id) {
+        const idField = schema.fields.find(field => field.name === 'ID');
+        if (!idField) throw new ToolError(`${schema.name} has no ID field`);
+        if (!entry.ids) {
+            entry.ids = new Map();
+            for (let i = 0; i < entry.file.recordCount; i++) {
+                const value = entry.file.readValue(entry.file.recordOffset(i) + idField.offset, 'int');
+                if (!entry.ids.has(value)) entry.ids.set(value, i);
+            }
+        }
+        return entry.ids.get(Number(id));
+    }
+
+    function requireId(id) {
+        if (!Number.isInteger(Number(id))) throw new ToolError('id must be an integer');
+        return Number(id);
+    }
+
+    function decodedFields(fieldValues, schema) {
+        const decoded = {};
+        schema.fields.forEach((field, f) => {
+            const members = field.enumType && enums[field.enumType];
+            if (!members) return;
+            const names = fieldValues[f].map(value => decodeEnumValue(value, members, field.enumKind));
+            decoded[field.name] = field.isArray ? names : names[0];
+        });
+        return decoded;
+    }
+
+    const handlers = {
+        list_dbcs(args) {
+            const filter = args.filter ? String(args.filter).toLowerCase() : null;
+            const available = schemasOf(args.module);
+            const dbcs = [];
+            for (const dbcName of Object.keys(available).sort()) {
+                if (filter && !dbcName.toLowerCase().includes(filter)) continue;
+                const counts = {};
+                for (const source of SOURCES) {
+                    const filePath = path.join(folderOf(source, args.module), `${dbcName}.dbc`);
+                    counts[source] = fs.existsSync(filePath) ? DbcFile.readHeader(filePath).recordCount : null;
+                }
+                if (counts.dbc === null && counts.dbc_source === null) continue;
+                dbcs.push({ name: dbcName, fields: available[dbcName].fields.length, records: counts });
+            }
+            return { module: args.module || moduleName, dbcs };
+        },
+
+        describe_dbc(args) {
+            const schema = schemaFor(args.dbc, args.module);
+            const pointers = new Map(relationColumns(schema, relationOverrides).map(relation => [relation.field, relation]));
+
+            const fields = schema.fields.map(field => {
+                const description = { name: field.name, type: field.type, cellType: field.cellType, offset: field.offset };
+                if (isLocalized(field)) {
+                    description.columns = `${field.name} (enUS) or ${field.name}_<locale> for ${LOCALES.slice(0, 3).join(', ')}, ...`;
+                } else if (field.isArray) {
+                    description.count = field.count;
+                    description.columns = `${field.name}_1 ... ${field.name}_${field.count}`;
+                }
+                if (field.description) description.description = field.description;
+                if (field.enumType) {
+                    description.enum = { name: field.enumType, kind: field.enumKind, values: enums[field.enumType] || null };
+                }
+                const pointer = pointers.get(field.name);
+                if (pointer) description.pointsTo = { dbc: pointer.targetDbc, field: pointer.targetField };
+                return description;
+            });
+
+            // One entry per pointing field, not per column of an array
+            const referencedBy = [];
+            const available = schemasOf(args.module);
+            for (const name of Object.keys(available).sort()) {
+                const pointing = relationColumns(available[name], relationOverrides).filter(relation => relation.targetDbc === schema.name);
+                new Set(pointing.map(relation => relation.field)).forEach(field => referencedBy.push({ dbc: name, field }));
+            }
+
+            return {
+                name: schema.name,
+                schema: describeSchemaVersion(schemaMeta.version, schemaMeta.sourceCommit),
+                fields,
+                referencedBy
+            };
+        },
+
+        get_record(args) {
+            const schema = schemaFor(args.dbc, args.module);
+            const id = requireId(args.id);
+            const source = args.source || 'dbc';
+            const entry = openFile(schema.name, source, args.module);
+            if (!entry) throw new ToolError(`${source}/${schema.name}.dbc not found in module ${args.module || moduleName}`);
+
+            const index = recordIndex(entry, schema, id);
+            if (index === undefined) throw new ToolError(`No record with ID ${id} in ${source}/${schema.name}.dbc`);
+
+            const fieldValues = entry.file.readRecord(index, schema);
+            return {
+                dbc: schema.name,
+                source,
+                record: nestRecord(fieldValues, schema, { allLocales: Boolean(args.all_locales) }),
+                decoded: decodedFields(fieldValues, schema)
+            };
+        },
+
+        search(args) {
+            const schema = schemaFor(args.dbc, args.module);
+            const source = args.source || 'dbc';
+            const limit = args.limit ? Number(args.limit) : 20;
+            const pattern = String(args.pattern === undefined ? '' : args.pattern);
+            const expression = SEARCH_OPERATORS.test(pattern) ? `${args.field}${pattern}` : `${args.field}~${pattern}`;
+
+            let filter;
+            let project;
+            try {
+                filter = compileFilter(schema, { where: [expression], allLocales: true });
+                const wanted = ['ID', args.field, ...(args.fields || [])].filter(name => name !== 'ID' || schema.fields.some(field => field.name === 'ID'));
+                project = compileProjection(schema, wanted, { nested: true, allLocales: true });
+            } catch (error) {
+                throw new ToolError(error.message.replace(' in --where', ''));
+            }
+
+            const entry = openFile(schema.name, source, args.module);
+            if (!entry) throw new ToolError(`${source}/${schema.name}.dbc not found in module ${args.module || moduleName}`);
+
+            const records = [];
+            let matches = 0;
+            for (let i = 0; i < entry.file.recordCount; i++) {
+                const fieldValues = entry.file.readRecord(i, schema);
+                if (!filter(fieldValues)) continue;
+                matches++;
+                if (records.length < limit) records.push(project(nestRecord(fieldValues, schema, { allLocales: true })));
+            }
+
+            return { dbc: schema.name, source, where: expression, matches, records };
+        },
+
+        diff_record(args) {
+            const schema = schemaFor(args.dbc, args.module);
+            const id = requireId(args.id);
+
+            const read = source => {
+                const entry = openFile(schema.name, source, args.module);
+                const index = entry ? recordIndex(entry, schema, id) : undefined;
+                return index === undefined ? [] : [flattenRecord(entry.file.readRecord(index, schema), schema, { allLocales: true })];
+            };
+            const oldRecords = read('dbc_source');
+            const newRecords = read('dbc');
+            if (oldRecords.length === 0 && newRecords.length === 0) throw new ToolError(`No record with ID ${id} in dbc or dbc_source`);
+            const diff = diffRecords(oldRecords, newRecords);
+
+            let status = 'unchanged';
+            if (diff.added.length > 0) status = 'added';
+            else if (diff.removed.length > 0) status = 'removed';
+            else if (diff.changed.length > 0) status = 'changed';
+
+            return { dbc: schema.name, id, status, changes: diff.changed.length > 0 ? diff.changed[0].fields : {} };
+        }
+    };
+
+    /**
+     * Runs a tool. Tool failures are returned as { isError: true } results so the
+     * assistant can read them; unknown tools throw.
+     */
+    function callTool(name, args = {}) {
+        if (!handlers[name]) {
+            const error = new Error(`Unknown tool: ${name}`);
+            error.code = INVALID_PARAMS;
+            throw error;
+        }
+        try {
+            const result = handlers[name](args);
+            return { content: [{ type: 'text', text: JSON.stringify(result, jsonReplacer, 2) }] };
+        } catch (error) {
+            if (!(error instanceof ToolError)) throw error;
+            return { content: [{ type: 'text', text: error.message }], isError: true };
+        }
+    }
+
+    function handleRequest(method, params) {
+        if (method === 'initialize') {
+            const requested = params.protocolVersion;
+            return {
+                protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+                capabilities: { tools: {} },
+                serverInfo: SERVER_INFO,
+                instructions: `World of Warcraft 3.3.5 DBC files of the TSWoW module "${moduleName}". `
+                    + 'dbc holds the data after datascripts ran, dbc_source the original client data. Start with list_dbcs and describe_dbc.'
+            };
+        }
+        if (method === 'ping') return {};
+        if (method === 'tools/list') return { tools: TOOLS };
+        if (method === 'tools/call') return callTool(params.name, params.arguments || {});
+
+        const error = new Error(`Method not found: ${method}`);
+        error.code = METHOD_NOT_FOUND;
+        throw error;
+    }
+
+    /**
+     * Handles one parsed JSON-RPC message (or batch); returns the response, or
+     * null for notifications
+     */
+    function handleMessage(message) {
+        if (Array.isArray(message)) {
+            const responses = message.map(handleMessage).filter(Boolean);
+            return responses.length > 0 ? responses : null;
+        }
+        if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+            // Responses to requests we never send are ignored
+            if (message && typeof message === 'object' && !('method' in message) && 'id' in message) return null;
+            return { jsonrpc: '2.0', id: message && message.id !== undefined ? message.id : null, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+        }
+
+        const isNotification = !('id' in message);
+        try {
+            const result = handleRequest(message.method, message.params || {});
+            return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            if (isNotification) return null;
+            return { jsonrpc: '2.0', id: message.id, error: { code: error.code || -32603, message: error.message } };
+        }
+    }
+
+    return { tools: TOOLS, callTool, handleMessage };
+}
+
+/**
+ * Serves createQueryServer over newline-delimited JSON on the given streams.
+ * Resolves when input ends.
+ */
+function serveStdio(server, input = process.stdin, output = process.stdout) {
+    const readline = require('readline');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const send = response => output.write(`${JSON.stringify(response)}\n`);
+
+    lines.on('line', line => {
+        if (!line.trim()) return;
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+            return;
+        }
+        const response = server.handleMessage(message);
+        if (response) send(response);
+    });
+
+    return new Promise(resolve => lines.on('close', resolve));
+}
+
+module.exports = { createQueryServer, serveStdio, decodeEnumValue };
@@ -0,0 +1,168 @@
+/**
+ * Record filters (--ids, --where) and column selection (--fields) for DBC lookups
+ */
+
+const { LOCALES, isLocalized } = require('./dbc-file');
+
+// At the same position the longer operator wins, so ">=" is not read as ">"
+const OPERATORS = ['!=', '>=', '<=', '!~', '=', '>', '<', '&', '~'];
+
+/**
+ * Parses a predicate such as "SchoolMask&4", "Name~Fire" or "ID>=80000"
+ *   =  !=  <  <=  >  >=   compare numbers (strings compare exactly with = and !=)
+ *   &                      any of the given bits is set
+ *   ~  !~                  contains / does not contain, case-insensitive
+ */
+function parseWhere(expression) {
+    let best = null;
+    for (const op of OPERATORS) {
+        const index = expression.indexOf(op);
+        if (index > 0 && (best === null || index < best.index || (index === best.index && op.length > best.op.length))) {
+            best = { op, index };
+        }
+    }
+    if (!best) throw new Error(`Invalid --where "${expression}": expected COLUMN<op>VALUE with one of ${OPERATORS.join(' ')}`);
+
+    return {
+        expression,
+        column: expression.slice(0, best.index).trim(),
+        op: best.op,
+        value: expression.slice(best.index + best.op.length).trim()
+    };
+}
+
+/**
+ * Maps every name a predicate or --fields entry may use to the cells it covers:
+ * field names (all cells of an array, enUS or every locale of a localized
+ * string) and flat column names (Reagent_2, Name_deDE, Name_flags)
+ */
+function columnCells(schema, options = {}) {
+    const cells = new Map();
+
+    schema.fields.forEach((field, f) => {
+        if (isLocalized(field)) {
+            const locales = options.allLocales ? LOCALES.map((_, j) => [f, j]) : [[f, 0]];
+            cells.set(field.name, locales);
+            LOCALES.forEach((locale, j) => cells.set(`${field.name}_${locale}`, [[f, j]]));
+            cells.set(`${field.name}_flags`, [[f, LOCALES.length]]);
+        } else if (field.isArray) {
+            cells.set(field.name, Array.from({ length: field.count }, (_, j) => [f, j]));
+            for (let j = 0; j < field.count; j++) cells.set(`${field.name}_${j + 1}`, [[f, j]]);
+        } else {
+            cells.set(field.name, [[f, 0]]);
+        }
+    });
+
+    return cells;
+}
+
+function parseNumber(text) {
+    if (/^-?0[xX][0-9a-fA-F]+$/.test(text)) return text.startsWith('-') ? -parseInt(text.slice(1), 16) : parseInt(text, 16);
+    return text === '' ? NaN : Number(text);
+}
+
+// Integer operands as BigInt, so ULong cells and 64-bit masks compare exactly
+function parseBigInt(text) {
+    if (/^0[xX][0-9a-fA-F]+$|^-?\d+$/.test(text)) return BigInt(text);
+    const number = parseNumber(text);
+    return Number.isInteger(number) ? BigInt(number) : null;
+}
+
+function testValue(value, op, operand) {
+    if (op === '~' || op === '!~') {
+        const contains = String(value).toLowerCase().includes(operand.toLowerCase());
+        return op === '~' ? contains : !contains;
+    }
+    if (typeof value === 'string') {
+        if (op === '=') return value === operand;
+        if (op === '!=') return value !== operand;
+        return false;
+    }
+
+    if (op === '&') {
+        const mask = parseBigInt(operand);
+        return mask !== null && (BigInt(value) & mask) !== 0n;
+    }
+
+    let left = value;
+    let right = parseNumber(operand);
+    if (typeof value === 'bigint') {
+        right = parseBigInt(operand);
+        if (right === null) {
+            left = Number(value);
+            right = parseNumber(operand);
+        }
+    }
+    if (typeof right === 'number' && Number.isNaN(right)) return false;
+
+    if (op === '=') return left === right;
+    if (op === '!=') return left !== right;
+    if (op === '>') return left > right;
+    if (op === '>=') return left >= right;
+    if (op === '<') return left < right;
+    return left <= right;
+}
+
+/**
+ * Builds a filter over raw cell values (see DbcFile.readRecord).
+ * A predicate on an array field matches if any of its cells matches.
+ * @param {object} schema
+ * @param {object} [options] - { ids, where: string[], allLocales }
+ * @returns {Function|null} (fieldValues) => boolean, or null when nothing is filtered
+ */
+function compileFilter(schema, options = {}) {
+    const cells = columnCells(schema, options);
+    const tests = [];
+
+    if (options.ids && options.ids.length > 0) {
+        const idField = schema.fields.findIndex(field => field.name === 'ID');
+        if (idField === -1) throw new Error(`${schema.name} has no ID field to filter by`);
+        const ids = new Set(options.ids.map(Number));
+        tests.push(fieldValues => ids.has(Number(fieldValues[idField][0])));
+    }
+
+    for (const expression of options.where || []) {
+        const predicate = parseWhere(expression);
+        const targets = cells.get(predicate.column);
+        if (!targets) throw new Error(`Unknown column "${predicate.column}" in --where "${expression}"`);
+        tests.push(fieldValues => targets.some(([f, j]) => testValue(fieldValues[f][j], predicate.op, predicate.value)));
+    }
+
+    if (tests.length === 0) return null;
+    return fieldValues => tests.every(test => test(fieldValues));
+}
+
+/**
+ * Keeps only the requested fields or columns of a record. A field name keeps
+ * all of its columns (Reagent keeps Reagent_1 ... Reagent_8); for nested
+ * records a column name keeps its whole field.
+ * @param {string[]} fields
+ * @param {object} [options] - { nested, allLocales }; allLocales as the records were read with
+ * @returns {Function} (record) => record
+ */
+function compileProjection(schema, fields, options = {}) {
+    const cells = columnCells(schema, { allLocales: true });
+    const unknown = fields.filter(name => !cells.has(name));
+    if (unknown.length > 0) throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+
+    // Records read without allLocales only hold the enUS string, under the field's name
+    if (!options.allLocales) {
+        const fieldOf = name => schema.fields[cells.get(name)[0][0]];
+        const localeColumns = fields.filter(name => isLocalized(fieldOf(name)) && name !== fieldOf(name).name);
+        if (localeColumns.length > 0) throw new Error(`Locale columns need --all-locales: ${localeColumns.join(', ')}`);
+    }
+
+    const owners = new Map();
+    for (const [name, targets] of cells) owners.set(name, schema.fields[targets[0][0]].name);
+    const wanted = new Set(options.nested ? fields.map(name => owners.get(name)) : fields);
+
+    return record => {
+        const projected = {};
+        for (const [key, value] of Object.entries(record)) {
+            if (wanted.has(key) || wanted.has(owners.get(key))) projected[key] = value;
+        }
+        return projected;
+    };
+}
+
+module.exports = { parseWhere, columnCells, compileFilter, compileProjection };
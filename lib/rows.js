@@ -0,0 +1,189 @@
+/**
+ * Conversion between raw DBC cell values and the flat column rows stored in MySQL
+ */
+
+const { DbcFile, LOCALES, isLocalized, valueType } = require('./dbc-file');
+
+/**
+ * Flattens the cell values of a record into one column per value. Localized
+ * strings become Name (enUS only) or Name_enUS ... Name_flags with allLocales,
+ * arrays become Name_1 ... Name_N.
+ */
+function flattenRecord(fieldValues, schema, options = {}) {
+    const record = {};
+
+    schema.fields.forEach((field, f) => {
+        const values = fieldValues[f];
+        if (isLocalized(field)) {
+            if (options.allLocales) {
+                LOCALES.forEach((locale, j) => {
+                    record[`${field.name}_${locale}`] = values[j];
+                });
+                record[`${field.name}_flags`] = values[LOCALES.length];
+            } else {
+                record[field.name] = values[0];
+            }
+        } else if (field.isArray) {
+            values.forEach((value, j) => {
+                record[`${field.name}_${j + 1}`] = value;
+            });
+        } else {
+            record[field.name] = values[0];
+        }
+    });
+
+    return record;
+}
+
+/**
+ * The columns flattenRecord produces, in order, each with the kind of value it
+ * holds: 'id', 'int', 'uint', 'byte', 'float', 'string' or 'ulong'. Backends map
+ * kinds to their own column types.
+ */
+function tableColumns(schema, options = {}) {
+    const columns = [];
+
+    for (const field of schema.fields) {
+        const kind = valueType(field);
+        if (field.name === 'ID') {
+            columns.push({ name: field.name, kind: 'id' });
+        } else if (isLocalized(field)) {
+            if (options.allLocales) {
+                for (const locale of LOCALES) columns.push({ name: `${field.name}_${locale}`, kind: 'string' });
+                columns.push({ name: `${field.name}_flags`, kind: 'uint' });
+            } else {
+                columns.push({ name: field.name, kind: 'string' });
+            }
+        } else if (field.isArray) {
+            for (let i = 0; i < field.count; i++) columns.push({ name: `${field.name}_${i + 1}`, kind });
+        } else {
+            columns.push({ name: field.name, kind });
+        }
+    }
+
+    return columns;
+}
+
+/**
+ * The first float cell of the rows that a database can't store: MySQL and
+ * SQLite have no NaN or infinite floats and would keep NULL instead
+ * @returns {object|null} { row, ID, column, value }; ID is undefined without an ID field
+ */
+function findNonFiniteFloat(records, schema, options = {}) {
+    const columns = tableColumns(schema, options).filter(column => column.kind === 'float').map(column => column.name);
+    for (let row = 0; row < records.length; row++) {
+        const column = columns.find(name => typeof records[row][name] === 'number' && !Number.isFinite(records[row][name]));
+        if (column) return { row, ID: records[row].ID, column, value: records[row][column] };
+    }
+    return null;
+}
+
+/**
+ * Keeps each field as a single property: arrays as arrays and, with allLocales,
+ * localized strings as an object keyed by locale plus flags
+ */
+function nestRecord(fieldValues, schema, options = {}) {
+    const record = {};
+
+    schema.fields.forEach((field, f) => {
+        const values = fieldValues[f];
+        if (isLocalized(field)) {
+            if (options.allLocales) {
+                const locales = {};
+                LOCALES.forEach((locale, j) => {
+                    locales[locale] = values[j];
+                });
+                locales.flags = values[LOCALES.length];
+                record[field.name] = locales;
+            } else {
+                record[field.name] = values[0];
+            }
+        } else {
+            record[field.name] = field.isArray ? values : values[0];
+        }
+    });
+
+    return record;
+}
+
+/**
+ * Reads a DBC file into flat column rows, or nested records with options.nested
+ * @param {string} dbcFilePath
+ * @param {object} schema - Entry of dbc-schemas.json
+ * @param {object} [options] - { limit, allLocales, nested, filter }; filter receives the
+ *                             raw cell values (see lib/query.js) and limit counts matches
+ * @returns {{ metadata: object, records: object[] }}
+ */
+function readDbc(dbcFilePath, schema, options = {}) {
+    const file = DbcFile.read(dbcFilePath);
+    const toRecord = options.nested ? nestRecord : flattenRecord;
+    const limit = options.limit !== null && options.limit !== undefined ? options.limit : Infinity;
+
+    const records = [];
+    for (let i = 0; i < file.recordCount && records.length < limit; i++) {
+        const fieldValues = file.readRecord(i, schema);
+        if (options.filter && !options.filter(fieldValues)) continue;
+        records.push(toRecord(fieldValues, schema, options));
+    }
+
+    return {
+        metadata: {
+            recordCount: file.recordCount,
+            fieldCount: file.fieldCount,
+            recordSize: file.recordSize,
+            stringSize: file.stringSize,
+            recordsShown: records.length
+        },
+        records
+    };
+}
+
+/**
+ * Maps an exported row back to the raw cell values of each schema field,
+ * reversing the column expansion done by flattenRecord
+ */
+function rowToFieldValues(row, field) {
+    if (!field.isArray) return [row[field.name]];
+
+    const values = [];
+    if (isLocalized(field)) {
+        if (`${field.name}_enUS` in row) {
+            for (const locale of LOCALES) values.push(row[`${field.name}_${locale}`]);
+            values.push(row[`${field.name}_flags`]);
+            return values;
+        }
+        // Only enUS was exported; other locales and the flags cell are left empty
+        values.push(row[field.name]);
+        for (let j = 1; j < field.count; j++) values.push(null);
+        return values;
+    }
+
+    for (let j = 0; j < field.count; j++) {
+        values.push(row[`${field.name}_${j + 1}`]);
+    }
+    return values;
+}
+
+/**
+ * Serializes exported rows into the bytes of a WDBC file
+ */
+function writeDbc(rows, schema) {
+    const records = rows.map(row => schema.fields.map(field => rowToFieldValues(row, field)));
+    return DbcFile.fromFieldValues(records, schema).toBuffer();
+}
+
+// JSON.stringify cannot serialize BigInt, so ULong values are written as exact decimal strings
+function jsonReplacer(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+module.exports = {
+    flattenRecord,
+    tableColumns,
+    findNonFiniteFloat,
+    nestRecord,
+    readDbc,
+    rowToFieldValues,
+    writeDbc,
+    jsonReplacer
+};
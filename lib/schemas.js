@@ -0,0 +1,347 @@
+/**
+ * Loading of config.json, the generated schema/enum files and module paths.
+ * Missing files throw instead of exiting, so callers decide how to report them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseDatascriptSchemas } = require('./dbc-definitions');
+
+const ROOT = path.join(__dirname, '..');
+
+function readJson(filePath, hint) {
+    if (!fs.existsSync(filePath)) {
+        const error = new Error(`${path.basename(filePath)} not found!`);
+        error.code = 'ENOENT';
+        error.hint = hint;
+        throw error;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadConfig(configPath = path.join(ROOT, 'config.json')) {
+    return readJson(configPath, 'Copy config.example.json to config.json and update settings.');
+}
+
+/**
+ * Reads a schema file. `_meta` ({ version, hash, sourceCommit }, written by
+ * parse-tswow-schemas.js) is returned separately; older files have none.
+ * @returns {object} { meta, schemas }
+ */
+function readSchemaFile(schemaPath = path.join(ROOT, 'dbc-schemas.json')) {
+    const { _meta: meta = {}, ...schemas } = readJson(schemaPath, 'Run: node parse-tswow-schemas.js');
+    // Map entries added since the schemas were generated apply without regenerating them
+    applyEnumMap(schemas);
+    return { meta: { version: null, hash: null, sourceCommit: null, ...meta }, schemas };
+}
+
+function loadSchemas(schemaPath) {
+    return readSchemaFile(schemaPath).schemas;
+}
+
+function loadSchemaMeta(schemaPath) {
+    return readSchemaFile(schemaPath).meta;
+}
+
+/**
+ * Hash of the parts of a schema that decide the table layout (names, types,
+ * offsets, array sizes); descriptions and enum names don't change it
+ */
+function schemaHash(schema) {
+    const layout = schema.fields.map(field => [field.name, field.type, field.cellType, field.offset, field.isArray, field.count, field.bytesPerField]);
+    return crypto.createHash('sha1').update(JSON.stringify(layout)).digest('hex');
+}
+
+/**
+ * Adds an unk_<fieldIndex> field for every 4-byte field of the record that the
+ * schema's fields don't fully cover, so exporting keeps every byte of the file.
+ * A field partly covered (the padding next to byte fields) only holds the
+ * uncovered bytes: `mask` selects them and the covered bytes read as zero.
+ * @param {object} schema
+ * @param {number} recordSize - From the file header; bytes past totalFields are covered too
+ * @param {number[]} [fieldIndices] - Only add these, e.g. the unk_ columns of an exported table
+ * @returns {object} The schema, or a copy with the unk_ fields in offset order
+ */
+function withUnknownFields(schema, recordSize, fieldIndices = null) {
+    const covered = new Uint8Array(Math.ceil(Math.max(recordSize, schema.totalFields * 4) / 4) * 4);
+    for (const field of schema.fields) {
+        for (let j = 0; j < field.count; j++) {
+            const start = field.offset + (j * field.bytesPerField);
+            covered.fill(1, start, start + field.bytesPerField);
+        }
+    }
+
+    const unknown = [];
+    for (let index = 0; index < covered.length / 4; index++) {
+        let mask = 0;
+        for (let b = 0; b < 4; b++) {
+            if (!covered[(index * 4) + b]) mask |= 0xff << (8 * b);
+        }
+        mask >>>= 0;
+        if (mask === 0 || (fieldIndices && !fieldIndices.includes(index))) continue;
+
+        const field = {
+            name: `unk_${index}`,
+            type: 'int',
+            offset: index * 4,
+            isArray: false,
+            count: 1,
+            cellType: mask === 0xffffffff ? 'DBCIntCell' : 'DBCUIntCell',
+            bytesPerField: 4,
+            fieldIndex: index,
+            unknown: true
+        };
+        if (mask !== 0xffffffff) field.mask = mask;
+        unknown.push(field);
+    }
+
+    if (unknown.length === 0) return schema;
+    return {
+        ...schema,
+        totalFields: covered.length / 4,
+        // After the byte fields sharing their 4 bytes
+        fields: [...schema.fields, ...unknown].sort((a, b) => (Math.floor(a.offset / 4) - Math.floor(b.offset / 4)) || (Boolean(a.unknown) - Boolean(b.unknown)))
+    };
+}
+
+// Field indices of the unk_<fieldIndex> columns among a table's column names
+function unknownColumnIndices(columnNames) {
+    return columnNames.map(name => /^unk_(\d+)$/.exec(name)).filter(Boolean).map(match => parseInt(match[1]));
+}
+
+// "v3 (tswow 1a2b3c4)" for messages; unknown parts are left out
+function describeSchemaVersion(version, sourceCommit) {
+    const parts = [version !== null && version !== undefined ? `v${version}` : 'unversioned'];
+    if (sourceCommit) parts.push(`(tswow ${sourceCommit.slice(0, 7)})`);
+    return parts.join(' ');
+}
+
+// Hand-maintained "Dbc.Field" -> enum mapping for fields whose cell doesn't name its enum
+function loadEnumMap(enumMapPath = path.join(ROOT, 'dbc-enum-map.json')) {
+    const enumMap = fs.existsSync(enumMapPath) ? JSON.parse(fs.readFileSync(enumMapPath, 'utf8')) : {};
+    return Object.fromEntries(Object.entries(enumMap).filter(([key]) => !key.startsWith('_')));
+}
+
+/**
+ * Sets enumType and enumKind on the fields named by dbc-enum-map.json entries, e.g.
+ * { "Spell.Attributes": { "enum": "SpellAttr0", "kind": "flags" } } or the short
+ * form { "Spell.DispelType": "SpellDispelType" }. Schemas are changed in place.
+ * @returns {string[]} The entries that match no schema field
+ */
+function applyEnumMap(schemas, enumMap = loadEnumMap()) {
+    const unmatched = [];
+    for (const [key, entry] of Object.entries(enumMap)) {
+        const [dbcName, fieldName] = key.split('.');
+        const field = schemas[dbcName] && schemas[dbcName].fields.find(f => f.name === fieldName);
+        if (!field) {
+            unmatched.push(key);
+            continue;
+        }
+        const mapping = typeof entry === 'string' ? { enum: entry } : entry;
+        field.enumType = mapping.enum;
+        field.enumKind = mapping.kind || (field.cellType.includes('Flag') || field.cellType.includes('Mask') ? 'flags' : 'enum');
+    }
+    return unmatched;
+}
+
+// Hand-maintained 3.3.5a values of the mapped enums that TSWoW declares no TypeScript enum for
+function loadStockEnums(stockEnumPath = path.join(ROOT, 'dbc-stock-enums.json')) {
+    const enums = readJson(stockEnumPath, 'dbc-stock-enums.json ships with this repository');
+    delete enums._comments;
+    return enums;
+}
+
+/**
+ * Enum/flag value names: the stock enums, under the ones generated next to the
+ * schemas by parse-tswow-schemas.js. Without the generated file, the stock
+ * enums alone are returned; check hasGeneratedEnums() to tell the user.
+ */
+function loadEnums(enumPath = path.join(ROOT, 'dbc-enums.json')) {
+    const generated = fs.existsSync(enumPath) ? JSON.parse(fs.readFileSync(enumPath, 'utf8')) : {};
+    return { ...loadStockEnums(), ...generated };
+}
+
+function hasGeneratedEnums(enumPath = path.join(ROOT, 'dbc-enums.json')) {
+    return fs.existsSync(enumPath);
+}
+
+// Hand-maintained pointer targets, merged over the pointsTo targets in the schemas
+function loadRelations(relationPath = path.join(ROOT, 'dbc-relations.json')) {
+    return fs.existsSync(relationPath) ? JSON.parse(fs.readFileSync(relationPath, 'utf8')) : {};
+}
+
+// Hand-maintained TrinityCore world-table layouts for export-module-dbc.js --world
+function loadWorldTables(worldTablePath = path.join(ROOT, 'dbc-world-tables.json')) {
+    const tables = readJson(worldTablePath, 'dbc-world-tables.json ships with this repository');
+    delete tables._comments;
+    return tables;
+}
+
+// The modules folder of the TSWoW install; tswowInstallPath in config.json is relative to this repository
+function modulesPath(config) {
+    const tswowInstallPath = config.tswowInstallPath || path.join(ROOT, '..', '..');
+    return path.join(ROOT, tswowInstallPath, 'modules');
+}
+
+/**
+ * Paths of a module's dataset folders
+ */
+function getModulePaths(config, moduleName) {
+    const moduleBasePath = path.join(modulesPath(config), moduleName, 'datasets', 'dataset');
+    return {
+        moduleBasePath,
+        dbcPath: path.join(moduleBasePath, 'dbc'),
+        dbcSourcePath: path.join(moduleBasePath, 'dbc_source')
+    };
+}
+
+/**
+ * Names of the modules that have a dataset folder, sorted
+ */
+function listModules(config) {
+    const folder = modulesPath(config);
+    if (!fs.existsSync(folder)) return [];
+    return fs.readdirSync(folder, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && fs.existsSync(getModulePaths(config, entry.name).moduleBasePath))
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * MySQL database (or SQLite file/prefix) of one module's dbc or dbc_source
+ * export. The template may use {module} and {source}; the default "{source}"
+ * gives the plain dbc and dbc_source databases.
+ */
+function databaseName(template, moduleName, source) {
+    const name = (template || '{source}').replace(/\{module\}/g, moduleName).replace(/\{source\}/g, source);
+    return name.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+}
+
+// Defaults for the parts of a field an override may leave out
+const OVERRIDE_FIELD_SIZES = { ulong: 8, byte: 1 };
+const OVERRIDE_CELL_TYPES = { int: 'DBCIntCell', uint: 'DBCUIntCell', float: 'DBCFloatCell', string: 'DBCStringCell', ulong: 'DBCULongCell', byte: 'DBCByteCell' };
+
+/**
+ * Completes a hand-written schema from dbc-schemas.override.json. Fields need
+ * name, type and offset; count, isArray, bytesPerField, cellType and the
+ * schema's totalFields default from those ("uint" is an int in a DBCUIntCell).
+ */
+function normalizeSchema(dbcName, schema) {
+    if (!schema || !Array.isArray(schema.fields)) throw new Error(`${dbcName}: "fields" must be a list`);
+
+    const fields = schema.fields.map(field => {
+        if (typeof field.name !== 'string' || !OVERRIDE_CELL_TYPES[field.type] || !Number.isInteger(field.offset)) {
+            throw new Error(`${dbcName}: every field needs a name, a type (${Object.keys(OVERRIDE_CELL_TYPES).join(', ')}) and an integer offset`);
+        }
+        const count = field.count || 1;
+        return {
+            ...field,
+            type: field.type === 'uint' ? 'int' : field.type,
+            isArray: field.isArray !== undefined ? field.isArray : count > 1,
+            count,
+            cellType: field.cellType || OVERRIDE_CELL_TYPES[field.type],
+            bytesPerField: field.bytesPerField || OVERRIDE_FIELD_SIZES[field.type] || 4,
+            fieldIndex: Math.floor(field.offset / 4)
+        };
+    }).sort((a, b) => a.offset - b.offset);
+
+    const endByte = Math.max(0, ...fields.map(field => field.offset + (field.count * field.bytesPerField)));
+    return { ...schema, name: dbcName, totalFields: schema.totalFields || Math.ceil(endByte / 4), fields };
+}
+
+/**
+ * The schemas to use for one module: dbc-schemas.json, then the DBCs defined
+ * by DBCRow classes in modules/<name>/datascripts, then the entries of
+ * modules/<name>/dbc-schemas.override.json. Later sources replace earlier ones.
+ * @returns {object} { schemas, origins: { dbcName: 'datascripts' | 'override' }, unmapped }
+ *   where unmapped lists datascript getters that couldn't be mapped (see schemaFromRowClass)
+ */
+function loadModuleSchemas(config, moduleName, schemas) {
+    const moduleRoot = path.join(modulesPath(config), moduleName);
+    const merged = { ...schemas };
+    const origins = {};
+    const unmapped = [];
+
+    for (const [dbcName, schema] of Object.entries(parseDatascriptSchemas(path.join(moduleRoot, 'datascripts'), unmapped))) {
+        merged[dbcName] = schema;
+        origins[dbcName] = 'datascripts';
+    }
+
+    const overridePath = path.join(moduleRoot, 'dbc-schemas.override.json');
+    if (fs.existsSync(overridePath)) {
+        const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+        for (const [dbcName, schema] of Object.entries(overrides)) {
+            if (dbcName.startsWith('_')) continue;
+            try {
+                merged[dbcName] = normalizeSchema(dbcName, schema);
+            } catch (error) {
+                error.message = `${overridePath}: ${error.message}`;
+                throw error;
+            }
+            origins[dbcName] = 'override';
+        }
+    }
+
+    // Module layouts of stock DBCs get the same enum mapping as dbc-schemas.json
+    applyEnumMap(Object.fromEntries(Object.keys(origins).map(dbcName => [dbcName, merged[dbcName]])));
+    return { schemas: merged, origins, unmapped };
+}
+
+/**
+ * Lists the columns of a schema that point at another DBC, one entry per column
+ * for array fields: { field, column, targetDbc, targetField }
+ */
+function relationColumns(schema, relationOverrides = {}) {
+    const relations = [];
+
+    for (const field of schema.fields) {
+        const key = `${schema.name}.${field.name}`;
+        let target = field.pointsTo ? { dbc: field.pointsTo } : null;
+        if (key in relationOverrides) {
+            const override = relationOverrides[key];
+            target = typeof override === 'string' ? { dbc: override } : override;
+        }
+        if (!target || !target.dbc) continue;
+
+        const columns = field.isArray
+            ? Array.from({ length: field.count }, (_, i) => `${field.name}_${i + 1}`)
+            : [field.name];
+        for (const column of columns) {
+            relations.push({ field: field.name, column, targetDbc: target.dbc, targetField: target.field || 'ID' });
+        }
+    }
+
+    return relations;
+}
+
+// Fields whose enum/flag names are known
+function enumFields(schema, enums) {
+    return schema.fields.filter(field => field.enumType && enums[field.enumType]);
+}
+
+module.exports = {
+    ROOT,
+    loadConfig,
+    readSchemaFile,
+    loadSchemas,
+    loadSchemaMeta,
+    schemaHash,
+    withUnknownFields,
+    unknownColumnIndices,
+    describeSchemaVersion,
+    loadEnumMap,
+    applyEnumMap,
+    loadStockEnums,
+    loadEnums,
+    hasGeneratedEnums,
+    loadRelations,
+    loadWorldTables,
+    getModulePaths,
+    listModules,
+    databaseName,
+    normalizeSchema,
+    loadModuleSchemas,
+    relationColumns,
+    enumFields
+};
@@ -0,0 +1,106 @@
+/**
+ * Searching every DBC of a folder for an ID or a text (search-dbc.js): which
+ * records point at spell 80902, which DBC contains "Frostbolt"
+ */
+
+const { DbcFile, LOCALES, isLocalized, valueType } = require('./dbc-file');
+const { relationColumns } = require('./schemas');
+
+const NUMBER_TYPES = ['int', 'uint', 'byte', 'ulong'];
+
+/**
+ * Whether a field may hold IDs of the target DBC: its relation (dbc-relations.json
+ * or the schema's pointsTo) targets it, or, for fields without a known relation,
+ * its name contains the DBC name (SpellIconID, EffectTriggerSpell). The target's
+ * own ID field counts too.
+ */
+function pointsAtDbc(schema, field, targetDbc, relationOverrides = {}) {
+    const target = targetDbc.toLowerCase();
+    if (field.name === 'ID') return schema.name.toLowerCase() === target;
+
+    const relation = relationColumns({ name: schema.name, fields: [field] }, relationOverrides)[0];
+    if (relation) return relation.targetDbc.toLowerCase() === target;
+    return field.name.toLowerCase().includes(target);
+}
+
+/**
+ * The cells of a schema a query looks at, with the column name each is reported as
+ * @param {object} schema
+ * @param {object} query - See searchDbc
+ * @returns {object[]} [{ index, field, cells: [{ j, column }] }]
+ */
+function searchColumns(schema, query, relationOverrides = {}) {
+    const numeric = query.value !== undefined;
+    const searched = [];
+
+    schema.fields.forEach((field, index) => {
+        let cells;
+        if (isLocalized(field)) {
+            if (numeric) return;
+            cells = query.allLocales
+                ? LOCALES.map((locale, j) => ({ j, column: `${field.name}_${locale}` }))
+                : [{ j: 0, column: field.name }];
+        } else {
+            const type = valueType(field);
+            if (numeric ? !NUMBER_TYPES.includes(type) : type !== 'string') return;
+            if (numeric && query.targetDbc && !pointsAtDbc(schema, field, query.targetDbc, relationOverrides)) return;
+            cells = field.isArray
+                ? Array.from({ length: field.count }, (_, j) => ({ j, column: `${field.name}_${j + 1}` }))
+                : [{ j: 0, column: field.name }];
+        }
+        searched.push({ index, field, cells });
+    });
+
+    return searched;
+}
+
+function compileMatch(query) {
+    if (query.value !== undefined) {
+        // ulong cells are read as BigInt and compared exactly; the other integer cells fit a Number
+        const bigValue = BigInt(query.value);
+        const value = Number(bigValue);
+        return cell => (typeof cell === 'bigint' ? cell === bigValue : cell === value);
+    }
+    if (query.regex) return cell => query.regex.test(cell);
+    const text = String(query.text).toLowerCase();
+    return cell => cell.toLowerCase().includes(text);
+}
+
+/**
+ * Searches one DBC file.
+ * @param {string} dbcFilePath
+ * @param {object} schema
+ * @param {object} query
+ *   value       - An integer (BigInt, or a Number), matched against int, uint, byte and ulong cells
+ *   targetDbc   - With value, only fields that may point at this DBC (see pointsAtDbc)
+ *   text        - A case-insensitive substring of string cells
+ *   regex       - A RegExp tested against string cells
+ *   allLocales  - Search every locale of localized strings instead of only enUS
+ * @param {object} [relationOverrides] - From loadRelations
+ * @returns {object[]} Hits: [{ dbc, column, id, row, value }]; id is null for DBCs without an ID field
+ */
+function searchDbc(dbcFilePath, schema, query, relationOverrides = {}) {
+    const columns = searchColumns(schema, query, relationOverrides);
+    if (columns.length === 0) return [];
+
+    const file = DbcFile.read(dbcFilePath);
+    const idField = schema.fields.find(field => field.name === 'ID');
+    const matches = compileMatch(query);
+    const hits = [];
+
+    for (let i = 0; i < file.recordCount; i++) {
+        let id;
+        for (const { field, cells } of columns) {
+            const values = file.readFieldValues(i, field);
+            for (const { j, column } of cells) {
+                if (!matches(values[j])) continue;
+                if (id === undefined) id = idField ? file.readFieldValues(i, idField)[0] : null;
+                hits.push({ dbc: schema.name, column, id, row: i, value: values[j] });
+            }
+        }
+    }
+
+    return hits;
+}
+
+module.exports = { pointsAtDbc, searchColumns, searchDbc };
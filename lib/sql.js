@@ -0,0 +1,208 @@
+/**
+ * MySQL statement builders for exported DBC tables, shared by the live export
+ * and the --out-sql dump files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { tableColumns } = require('./rows');
+const { relationColumns, enumFields } = require('./schemas');
+
+// Rows per multi-row INSERT, keeps statements well below max_allowed_packet
+const ROWS_PER_INSERT = 500;
+
+function sanitizeTableName(name) {
+    return name.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+}
+
+function sanitizeColumnName(name) {
+    const reserved = ['order', 'group', 'desc', 'key', 'name', 'type', 'index', 'range'];
+    const sanitized = name.replace(/[^a-zA-Z0-9_]/g, '_');
+    return reserved.includes(sanitized.toLowerCase()) ? `\`${sanitized}\`` : sanitized;
+}
+
+// MySQL column type for each kind of tableColumns value
+const MYSQL_TYPES = {
+    id: 'INT PRIMARY KEY',
+    int: 'INT',
+    uint: 'INT UNSIGNED',
+    byte: 'TINYINT UNSIGNED',
+    float: 'FLOAT',
+    string: 'TEXT',
+    ulong: 'BIGINT UNSIGNED'
+};
+
+/**
+ * @param {string} tableName
+ * @param {object} schema
+ * @param {object} [options] - { allLocales, relationOverrides }
+ */
+function createTableSchema(tableName, schema, options = {}) {
+    const columns = tableColumns(schema, options).map(column => `${sanitizeColumnName(column.name)} ${MYSQL_TYPES[column.kind]}`);
+
+    // Index pointer columns so joins and "what references this ID" lookups are fast
+    for (const relation of relationColumns(schema, options.relationOverrides)) {
+        if (relation.column === 'ID') continue;
+        columns.push(`INDEX ${sanitizeColumnName(`idx_${relation.column}`)} (${sanitizeColumnName(relation.column)})`);
+    }
+
+    return `CREATE TABLE IF NOT EXISTS ${tableName} (\n  ${columns.join(',\n  ')}\n) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+}
+
+/**
+ * CREATE TABLE for <table>_history: the table's columns plus the snapshot range
+ * a row version is valid for, keyed by (ID, _valid_from) (see lib/history.js)
+ */
+function createHistoryTableSchema(tableName, schema, options = {}) {
+    const columns = tableColumns(schema, options).map(column => `${sanitizeColumnName(column.name)} ${column.kind === 'id' ? 'INT NOT NULL' : MYSQL_TYPES[column.kind]}`);
+    columns.push('_valid_from INT NOT NULL', '_valid_to INT', 'PRIMARY KEY (ID, _valid_from)', 'INDEX idx_valid_to (_valid_to)');
+    return `CREATE TABLE IF NOT EXISTS ${tableName} (\n  ${columns.join(',\n  ')}\n) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+}
+
+function escapeSqlValue(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number') {
+        // MySQL has no NaN or infinite FLOAT; NULL would silently lose the value
+        if (!Number.isFinite(value)) throw new Error(`${value} can't be stored in MySQL`);
+        // MySQL parses the shortest round-trip representation back to the same FLOAT
+        return String(value);
+    }
+    if (typeof value === 'bigint') return value.toString();
+    return mysql.escape(String(value));
+}
+
+function buildInsertSql(tableName, records, verb = 'INSERT') {
+    const fields = Object.keys(records[0]).map(sanitizeColumnName);
+    const rows = records.map(record => `(${Object.values(record).map(escapeSqlValue).join(', ')})`);
+    return `${verb} INTO ${tableName} (${fields.join(', ')}) VALUES\n${rows.join(',\n')};`;
+}
+
+function enumTableName(enumName) {
+    return `_enum_${enumName.replace(/[^a-zA-Z0-9_]/g, '_')}`;
+}
+
+// Rows of an _enum_<Name> table: one per enum member
+function enumRows(values) {
+    return Object.entries(values).map(([name, value]) => ({ value, name }));
+}
+
+function buildEnumTableSql(enumName, values) {
+    const tableName = enumTableName(enumName);
+    const rows = enumRows(values);
+    const statements = [
+        `DROP TABLE IF EXISTS ${tableName};`,
+        `CREATE TABLE ${tableName} (\n  value BIGINT NOT NULL,\n  name VARCHAR(128) NOT NULL,\n  PRIMARY KEY (value, name)\n) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`
+    ];
+    if (rows.length > 0) statements.push(buildInsertSql(tableName, rows));
+    return statements;
+}
+
+/**
+ * Builds a <table>_decoded view with a name column next to every enum/flag field:
+ * Field_name for enums, Field_names ("A|B|C") for flags
+ */
+function buildDecodedViewSql(tableName, schema, enums) {
+    const decoded = [];
+
+    for (const field of enumFields(schema, enums)) {
+        const enumTable = enumTableName(field.enumType);
+        const columns = field.isArray
+            ? Array.from({ length: field.count }, (_, i) => `${field.name}_${i + 1}`)
+            : [field.name];
+
+        for (const column of columns) {
+            const colName = sanitizeColumnName(column);
+            // Enum values may be declared as negative 32-bit numbers (1 << 31), columns may be unsigned
+            const member = '(e.value & 0xFFFFFFFF)';
+            if (field.enumKind === 'flags') {
+                decoded.push(`(SELECT GROUP_CONCAT(e.name ORDER BY ${member} SEPARATOR '|') FROM ${enumTable} e WHERE e.value <> 0 AND (t.${colName} & ${member}) = ${member}) AS ${sanitizeColumnName(`${column}_names`)}`);
+            } else {
+                decoded.push(`(SELECT e.name FROM ${enumTable} e WHERE ${member} = (t.${colName} & 0xFFFFFFFF) ORDER BY e.name LIMIT 1) AS ${sanitizeColumnName(`${column}_name`)}`);
+            }
+        }
+    }
+
+    if (decoded.length === 0) return null;
+    return `CREATE OR REPLACE VIEW ${tableName}_decoded AS SELECT t.*,\n  ${decoded.join(',\n  ')}\nFROM ${tableName} t;`;
+}
+
+/**
+ * Statements for the _dbc_relations table, from rows built by relationRows
+ */
+function buildRelationTableSql(rows) {
+    const statements = [
+        'DROP TABLE IF EXISTS _dbc_relations;',
+        `CREATE TABLE _dbc_relations (
+  dbc VARCHAR(64) NOT NULL,
+  table_name VARCHAR(64) NOT NULL,
+  field VARCHAR(128) NOT NULL,
+  column_name VARCHAR(128) NOT NULL,
+  target_dbc VARCHAR(64) NOT NULL,
+  target_table VARCHAR(64) NOT NULL,
+  target_field VARCHAR(128) NOT NULL,
+  PRIMARY KEY (dbc, column_name),
+  INDEX (target_dbc)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`
+    ];
+    for (let i = 0; i < rows.length; i += ROWS_PER_INSERT) {
+        statements.push(buildInsertSql('_dbc_relations', rows.slice(i, i + ROWS_PER_INSERT)));
+    }
+
+    return statements;
+}
+
+/**
+ * Writes statements to .sql files instead of a live connection. A target ending
+ * in .sql is one combined file, anything else is a directory holding
+ * <database>/<table>.sql. Each file can be loaded with `mysql < file`.
+ */
+function createSqlOutput(target, moduleName) {
+    const combined = target.toLowerCase().endsWith('.sql');
+    const header = `-- Generated by export-module-dbc.js (module: ${moduleName})\nSET NAMES utf8mb4;\n\n`;
+    const useDatabaseSql = database => `CREATE DATABASE IF NOT EXISTS ${database};\nUSE ${database};\n\n`;
+
+    let combinedFd = null;
+    if (combined) {
+        fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+        combinedFd = fs.openSync(target, 'w');
+        fs.writeSync(combinedFd, header);
+    }
+
+    return {
+        useDatabase(database) {
+            if (combined) fs.writeSync(combinedFd, useDatabaseSql(database));
+        },
+        openTable(database, tableName) {
+            if (combined) {
+                return { path: target, write: sql => fs.writeSync(combinedFd, `${sql}\n`), close() {} };
+            }
+            const dir = path.join(target, database);
+            fs.mkdirSync(dir, { recursive: true });
+            const filePath = path.join(dir, `${tableName}.sql`);
+            const fd = fs.openSync(filePath, 'w');
+            fs.writeSync(fd, header + useDatabaseSql(database));
+            return { path: filePath, write: sql => fs.writeSync(fd, `${sql}\n`), close: () => fs.closeSync(fd) };
+        },
+        close() {
+            if (combinedFd !== null) fs.closeSync(combinedFd);
+        }
+    };
+}
+
+module.exports = {
+    ROWS_PER_INSERT,
+    sanitizeTableName,
+    sanitizeColumnName,
+    createTableSchema,
+    createHistoryTableSchema,
+    escapeSqlValue,
+    buildInsertSql,
+    MYSQL_TYPES,
+    enumTableName,
+    enumRows,
+    buildEnumTableSql,
+    buildDecodedViewSql,
+    buildRelationTableSql,
+    createSqlOutput
+};
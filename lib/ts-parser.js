@@ -0,0 +1,326 @@
+/**
+ * Minimal TypeScript reader for the TSWoW DBC definitions: a tokenizer, and a
+ * walker that finds the getters of a class together with their JSDoc comment
+ * and the `new Cell<T>(args)` expression they return. It understands just
+ * enough syntax for those files, so layout and comments don't matter.
+ */
+
+// Punctuators longer than one character that matter here; everything else is
+// read one character at a time, so `A<B<C>>` closes two type argument lists
+const PUNCTUATORS = ['...', '=>', '?.'];
+
+const MODIFIERS = ['public', 'private', 'protected', 'static', 'readonly', 'abstract', 'override', 'declare', 'async'];
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+const CLOSING = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Splits TypeScript source into tokens { type, value, line, newline }.
+ * type is ident, number, string, template, punct or doc (a /** comment);
+ * other comments are dropped. number tokens also carry the parsed `number`.
+ */
+function tokenizeTypeScript(source) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let newline = true;
+
+    const push = (type, value, startLine, extra = {}) => {
+        tokens.push({ type, value, line: startLine, newline, ...extra });
+        newline = false;
+    };
+    const advance = (end) => {
+        for (let k = i; k < end; k++) {
+            if (source[k] === '\n') {
+                line++;
+                newline = true;
+            }
+        }
+        i = end;
+    };
+
+    while (i < source.length) {
+        const ch = source[i];
+        const rest = source.slice(i, i + 3);
+        const startLine = line;
+
+        if (/\s/.test(ch)) {
+            advance(i + 1);
+        } else if (rest.startsWith('//')) {
+            const end = source.indexOf('\n', i);
+            advance(end === -1 ? source.length : end);
+        } else if (rest.startsWith('/*')) {
+            const end = source.indexOf('*/', i + 2);
+            const close = end === -1 ? source.length : end + 2;
+            const text = source.slice(i, close);
+            const wasNewline = newline;
+            advance(close);
+            if (text.startsWith('/**') && text !== '/**/') {
+                tokens.push({ type: 'doc', value: text, line: startLine, newline: wasNewline });
+            }
+        } else if (ch === '"' || ch === '\'') {
+            let end = i + 1;
+            while (end < source.length && source[end] !== ch && source[end] !== '\n') end += source[end] === '\\' ? 2 : 1;
+            push('string', source.slice(i, end + 1), startLine);
+            advance(end + 1);
+        } else if (ch === '`') {
+            // Template literal; ${...} substitutions are skipped by brace depth
+            let end = i + 1;
+            let depth = 0;
+            while (end < source.length) {
+                if (source[end] === '\\') end++;
+                else if (depth === 0 && source[end] === '`') break;
+                else if (source.startsWith('${', end)) { depth++; end++; }
+                else if (depth > 0 && source[end] === '{') depth++;
+                else if (depth > 0 && source[end] === '}') depth--;
+                end++;
+            }
+            push('template', source.slice(i, end + 1), startLine);
+            advance(end + 1);
+        } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+            const match = /^(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*)?\.?\d[\d_]*(?:[eE][+-]?\d+)?)n?/.exec(source.slice(i));
+            const text = match[0];
+            const digits = text.replace(/_/g, '').replace(/n$/, '');
+            push('number', text, startLine, { number: Number(digits) });
+            advance(i + text.length);
+        } else if (/[A-Za-z_$]/.test(ch)) {
+            const text = /^[\w$]+/.exec(source.slice(i))[0];
+            push('ident', text, startLine);
+            advance(i + text.length);
+        } else {
+            const text = PUNCTUATORS.find(p => rest.startsWith(p)) || ch;
+            push('punct', text, startLine);
+            advance(i + text.length);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Index of the bracket matching the one at `index`, searching forwards for an
+ * opening bracket and backwards for a closing one; -1 if unbalanced
+ */
+function matchBracket(tokens, index) {
+    const open = tokens[index].value;
+    const forward = open in OPENING;
+    let depth = 0;
+    for (let k = index; k >= 0 && k < tokens.length; k += forward ? 1 : -1) {
+        const token = tokens[k];
+        if (token.type !== 'punct') continue;
+        if (forward ? token.value in OPENING : token.value in CLOSING) depth++;
+        else if (forward ? token.value in CLOSING : token.value in OPENING) depth--;
+        if (depth === 0) return k;
+    }
+    return -1;
+}
+
+/**
+ * Text of a JSDoc comment without the comment markers, tags and leading
+ * asterisks; lines of a paragraph are joined with spaces
+ */
+function parseJsDoc(comment) {
+    const lines = comment
+        .replace(/^\/\*\*/, '')
+        .replace(/\*\/$/, '')
+        .split('\n')
+        .map(text => text.replace(/^\s*\*?\s?/, '').trimEnd());
+
+    const tagIndex = lines.findIndex(text => /^@\w/.test(text));
+    const body = tagIndex === -1 ? lines : lines.slice(0, tagIndex);
+
+    return body.join('\n')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.split('\n').map(text => text.trim()).filter(Boolean).join(' '))
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Skips decorators and modifiers backwards from index; returns the index of the
+ * token before them
+ */
+function skipMemberPrefix(tokens, index) {
+    let k = index;
+    while (k >= 0) {
+        const token = tokens[k];
+        if (token.type === 'ident' && MODIFIERS.includes(token.value)) {
+            k--;
+            continue;
+        }
+        // @Name, @a.b.Name or @Name(...)
+        let start = k;
+        if (token.value === ')') start = matchBracket(tokens, k) - 1;
+        let j = start;
+        while (j >= 0 && (tokens[j].type === 'ident' || tokens[j].value === '.')) j--;
+        if (j < start && j >= 0 && tokens[j].value === '@') {
+            k = j - 1;
+            continue;
+        }
+        break;
+    }
+    return k;
+}
+
+/**
+ * Finds the classes of a file and their getters. Only classes extending
+ * `baseClass` are returned when it is given.
+ * @returns {object[]} [{ name, baseClass, line, getters: [{ name, line, description, body }] }]
+ *   where body is the token list between the getter's braces
+ */
+function findClassGetters(source, baseClass = null) {
+    const tokens = tokenizeTypeScript(source);
+    const classes = [];
+
+    for (let i = 0; i < tokens.length - 1; i++) {
+        if (tokens[i].type !== 'ident' || tokens[i].value !== 'class' || tokens[i + 1].type !== 'ident') continue;
+        if (i > 0 && tokens[i - 1].value === '.') continue;
+
+        // Heritage clause: the identifier after `extends`, outside type parameters
+        let open = i + 2;
+        let angles = 0;
+        let base = null;
+        for (; open < tokens.length && !(angles === 0 && tokens[open].value === '{'); open++) {
+            const value = tokens[open].value;
+            if (value === '<') angles++;
+            else if (value === '>') angles--;
+            else if (angles === 0 && value === 'extends' && tokens[open + 1]) base = tokens[open + 1].value;
+        }
+        const close = open < tokens.length ? matchBracket(tokens, open) : -1;
+        if (close === -1) break;
+
+        const cls = { name: tokens[i + 1].value, baseClass: base, line: tokens[i].line, getters: [] };
+
+        let depth = 0;
+        for (let k = open + 1; k < close; k++) {
+            const token = tokens[k];
+            if (token.type === 'punct' && token.value in OPENING) depth++;
+            else if (token.type === 'punct' && token.value in CLOSING) depth--;
+            if (depth !== 0 || token.type !== 'ident' || token.value !== 'get') continue;
+
+            const nameToken = tokens[k + 1];
+            if (!nameToken || !['ident', 'string'].includes(nameToken.type) || !tokens[k + 2] || tokens[k + 2].value !== '(') continue;
+
+            // Parameters, an optional return type annotation, then the body
+            let bodyOpen = matchBracket(tokens, k + 2) + 1;
+            while (bodyOpen < close && tokens[bodyOpen].value !== '{') bodyOpen++;
+            const bodyClose = matchBracket(tokens, bodyOpen);
+            if (bodyClose === -1 || bodyClose > close) break;
+
+            const prefixEnd = skipMemberPrefix(tokens, k - 1);
+            const doc = prefixEnd > open && tokens[prefixEnd].type === 'doc' ? tokens[prefixEnd] : null;
+
+            cls.getters.push({
+                name: nameToken.type === 'string' ? nameToken.value.slice(1, -1) : nameToken.value,
+                line: token.line,
+                description: doc ? parseJsDoc(doc.value) : null,
+                body: tokens.slice(bodyOpen + 1, bodyClose)
+            });
+            k = bodyClose;
+        }
+
+        if (!baseClass || cls.baseClass === baseClass) classes.push(cls);
+        i = close;
+    }
+
+    return classes;
+}
+
+// Punctuators that may appear in a type argument list outside nested brackets
+const TYPE_PUNCTUATORS = [',', '.', '|', '&', '<', '>', '=>', '-'];
+
+// Tokens that may follow a type argument list in an expression, as in TypeScript:
+// `f<T>(x)` is a call with type arguments, `a < b, c > d` two comparisons
+const AFTER_TYPE_ARGUMENTS = ['(', ')', ']', '}', ',', ';', '.', '?.'];
+
+/**
+ * Index of the `>` closing the type argument list that opens at `index`, or -1
+ * when the `<` there is a comparison: it must follow a name, hold only type
+ * syntax, and be followed by a call or the end of the expression
+ */
+function typeArgumentsEnd(tokens, index) {
+    if (index === 0 || tokens[index - 1].type !== 'ident') return -1;
+
+    let angles = 0;
+    for (let k = index; k < tokens.length; k++) {
+        const token = tokens[k];
+        if (token.type === 'punct' && token.value in OPENING) {
+            k = matchBracket(tokens, k);
+            if (k === -1) return -1;
+        } else if (token.type === 'punct' && !TYPE_PUNCTUATORS.includes(token.value)) {
+            return -1;
+        } else if (token.value === '<') {
+            angles++;
+        } else if (token.value === '>' && --angles === 0) {
+            const next = tokens[k + 1];
+            return !next || AFTER_TYPE_ARGUMENTS.includes(next.value) ? k : -1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits tokens at top-level commas (outside brackets and type arguments)
+ */
+function splitArguments(tokens) {
+    const args = [];
+    let current = [];
+    let depth = 0;
+    for (let k = 0; k < tokens.length; k++) {
+        const token = tokens[k];
+        const typeEnd = token.value === '<' ? typeArgumentsEnd(tokens, k) : -1;
+        if (typeEnd !== -1) {
+            current.push(...tokens.slice(k, typeEnd + 1));
+            k = typeEnd;
+            continue;
+        }
+        if (token.type === 'punct' && token.value in OPENING) depth++;
+        else if (token.type === 'punct' && token.value in CLOSING) depth--;
+        if (depth === 0 && token.value === ',') {
+            args.push(current);
+            current = [];
+        } else {
+            current.push(token);
+        }
+    }
+    if (current.length > 0) args.push(current);
+    return args;
+}
+
+/**
+ * Parses a getter body of the form `return new Callee<TypeArgs>(args);`
+ * @returns {object|null} { callee, typeArguments: [text], args: [tokens] }, null for any other body
+ */
+function parseNewExpression(body) {
+    const tokens = body[body.length - 1] && body[body.length - 1].value === ';' ? body.slice(0, -1) : body;
+    if (tokens.length < 4 || tokens[0].value !== 'return' || tokens[1].value !== 'new') return null;
+
+    let k = 2;
+    const callee = [];
+    while (k < tokens.length && (tokens[k].type === 'ident' || tokens[k].value === '.')) callee.push(tokens[k++].value);
+    if (callee.length === 0) return null;
+
+    let typeArguments = [];
+    if (tokens[k] && tokens[k].value === '<') {
+        const end = typeArgumentsEnd(tokens, k);
+        if (end === -1) return null;
+        typeArguments = splitArguments(tokens.slice(k + 1, end)).map(arg => arg.map(token => token.value).join(''));
+        k = end + 1;
+    }
+
+    if (!tokens[k] || tokens[k].value !== '(' || matchBracket(tokens, k) !== tokens.length - 1) return null;
+
+    return {
+        callee: callee.join(''),
+        typeArguments,
+        args: splitArguments(tokens.slice(k + 1, -1))
+    };
+}
+
+module.exports = {
+    tokenizeTypeScript,
+    parseJsDoc,
+    findClassGetters,
+    splitArguments,
+    parseNewExpression
+};
@@ -0,0 +1,118 @@
+/**
+ * Checks DBC files against their schemas before they are exported
+ */
+
+const fs = require('fs');
+const { DbcFile, HEADER_SIZE } = require('./dbc-file');
+
+/**
+ * Checks the byte layout of a schema: fields that overlap each other, fields that
+ * extend past the record, and byte ranges that no field covers
+ */
+function checkSchemaLayout(schema, recordSize) {
+    const errors = [];
+    const warnings = [];
+    const owners = new Array(recordSize).fill(null);
+    const reported = new Set();
+
+    for (const field of schema.fields) {
+        const end = field.offset + (field.count * field.bytesPerField);
+        if (end > recordSize) {
+            errors.push(`Field ${field.name} (bytes ${field.offset}-${end - 1}) extends past the ${recordSize}-byte record`);
+        }
+        for (let byte = field.offset; byte < Math.min(end, recordSize); byte++) {
+            const owner = owners[byte];
+            if (owner && owner !== field.name && !reported.has(`${owner}|${field.name}`)) {
+                reported.add(`${owner}|${field.name}`);
+                errors.push(`Fields ${owner} and ${field.name} overlap at byte ${byte}`);
+            }
+            owners[byte] = field.name;
+        }
+    }
+
+    for (let byte = 0; byte < recordSize; byte++) {
+        if (owners[byte]) continue;
+        const start = byte;
+        while (byte + 1 < recordSize && !owners[byte + 1]) byte++;
+        warnings.push(`Unmapped bytes ${start}-${byte} (field index ${Math.floor(start / 4)}${byte >= start + 4 ? `-${Math.floor(byte / 4)}` : ''})`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Validates a DBC file against its schema: header vs. schema layout, file size,
+ * string offsets inside the string table and duplicate IDs
+ */
+function validateDbc(dbcFilePath, schema) {
+    const errors = [];
+    const warnings = [];
+
+    let file;
+    try {
+        file = new DbcFile(fs.readFileSync(dbcFilePath));
+    } catch (error) {
+        return { errors: [error.message], warnings };
+    }
+
+    const { buffer, recordCount, fieldCount, recordSize, stringSize, stringTableStart } = file;
+
+    if (stringTableStart + stringSize !== buffer.length) {
+        errors.push(`File is ${buffer.length} bytes, header describes ${stringTableStart + stringSize}`);
+    }
+
+    // Records made only of byte fields are packed, so their size is the end of the last field
+    const schemaSize = schema.totalFields * 4;
+    const layoutEnd = Math.max(...schema.fields.map(field => field.offset + (field.count * field.bytesPerField)));
+    const packed = recordSize !== schemaSize && recordSize === layoutEnd;
+    if (recordSize !== schemaSize && !packed) {
+        errors.push(`Header recordSize is ${recordSize} bytes, schema expects ${schemaSize} (${schema.totalFields} fields)`);
+    }
+    if (fieldCount !== schema.totalFields && !packed) {
+        errors.push(`Header fieldCount is ${fieldCount}, schema expects ${schema.totalFields}`);
+    }
+
+    const layout = checkSchemaLayout(schema, recordSize);
+    errors.push(...layout.errors);
+    warnings.push(...layout.warnings);
+
+    if (errors.length > 0) return { errors, warnings, recordCount };
+
+    const badStrings = [];
+    const stringCells = [];
+    for (const field of schema.fields) {
+        if (field.type !== 'string') continue;
+        // The last cell of a localized string holds flags, not a string offset
+        const cells = field.cellType === 'DBCLocCell' ? field.count - 1 : field.count;
+        for (let j = 0; j < cells; j++) stringCells.push({ name: field.name, offset: field.offset + (j * 4) });
+    }
+
+    const idField = schema.fields.find(field => field.name === 'ID');
+    const seenIds = new Set();
+    const duplicateIds = new Set();
+
+    for (let i = 0; i < recordCount; i++) {
+        const recordOffset = HEADER_SIZE + (i * recordSize);
+        for (const cell of stringCells) {
+            const offset = buffer.readInt32LE(recordOffset + cell.offset);
+            if (offset < 0 || offset >= stringSize) badStrings.push(`record ${i} ${cell.name} -> ${offset}`);
+        }
+        if (idField) {
+            const id = buffer.readInt32LE(recordOffset + idField.offset);
+            if (seenIds.has(id)) duplicateIds.add(id);
+            seenIds.add(id);
+        }
+    }
+
+    if (badStrings.length > 0) {
+        errors.push(`${badStrings.length} string offsets point past the ${stringSize}-byte string table (${badStrings.slice(0, 5).join(', ')}${badStrings.length > 5 ? ', ...' : ''})`);
+    }
+    if (duplicateIds.size > 0) {
+        const ids = [...duplicateIds];
+        errors.push(`${ids.length} duplicate IDs: ${ids.slice(0, 10).join(', ')}${ids.length > 10 ? ', ...' : ''}`);
+    }
+
+    return { errors, warnings, recordCount };
+}
+
+module.exports = { checkSchemaLayout, validateDbc };
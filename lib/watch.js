@@ -0,0 +1,102 @@
+/**
+ * Watching module folders for DBC files rewritten by TSWoW's `build data`
+ * (export-module-dbc.js --watch)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DbcFile, HEADER_SIZE } = require('./dbc-file');
+
+/**
+ * Whether a .dbc file is completely written: its size matches the sizes in its
+ * header. A file caught mid-write is shorter, or has no header yet.
+ */
+function isCompleteDbc(filePath) {
+    try {
+        const { size } = fs.statSync(filePath);
+        if (size < HEADER_SIZE) return false;
+        const header = DbcFile.readHeader(filePath);
+        return size === HEADER_SIZE + (header.recordCount * header.recordSize) + header.stringSize;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Watches folders for written .dbc files and calls onChange with a batch once
+ * the writes have been quiet for debounceMs. Incomplete files wait for the next
+ * batch, up to maxWaits times, after which they are passed on so the export
+ * reports the broken file. Batches never overlap; deleted files are dropped.
+ * @param {object[]} sources - [{ folder, ... }]; each file's entry is passed back as `source`
+ * @param {function} onChange - async ([{ source, dbcName, filePath }]) => void
+ * @param {object} [options] - { debounceMs (default 1000), maxWaits (default 10), onError }
+ * @returns {object} { close() } - close() resolves once a running batch is done
+ */
+function watchDbcFolders(sources, onChange, options = {}) {
+    const { debounceMs = 1000, maxWaits = 10, onError = error => console.error('Watch error:', error.message) } = options;
+    const pending = new Map();
+    let timer = null;
+    let running = null;
+    let closed = false;
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+    }
+
+    function flush() {
+        timer = null;
+        if (closed) return;
+        // Files changed during a batch go into the next one
+        if (running) {
+            schedule();
+            return;
+        }
+
+        const batch = [];
+        for (const [filePath, entry] of pending) {
+            if (!fs.existsSync(filePath)) {
+                pending.delete(filePath);
+            } else if (isCompleteDbc(filePath) || ++entry.waits >= maxWaits) {
+                pending.delete(filePath);
+                batch.push(entry);
+            }
+        }
+        if (pending.size > 0) schedule();
+        if (batch.length === 0) return;
+
+        running = Promise.resolve()
+            .then(() => onChange(batch.map(({ source, dbcName, filePath }) => ({ source, dbcName, filePath }))))
+            .catch(onError)
+            .then(() => {
+                running = null;
+            });
+    }
+
+    const watchers = sources.map(source => {
+        const watcher = fs.watch(source.folder, (eventType, fileName) => {
+            if (closed || !fileName || path.extname(fileName).toLowerCase() !== '.dbc') return;
+            const filePath = path.join(source.folder, fileName);
+            const entry = pending.get(filePath);
+            if (entry) {
+                entry.waits = 0;
+            } else {
+                pending.set(filePath, { source, dbcName: path.basename(fileName, path.extname(fileName)), filePath, waits: 0 });
+            }
+            schedule();
+        });
+        watcher.on('error', onError);
+        return watcher;
+    });
+
+    return {
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            watchers.forEach(watcher => watcher.close());
+            return running || Promise.resolve();
+        }
+    };
+}
+
+module.exports = { isCompleteDbc, watchDbcFolders };
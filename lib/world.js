@@ -0,0 +1,87 @@
+/**
+ * TrinityCore world-database DBC override tables (spell_dbc, achievement_dbc, ...).
+ * The core loads these rows over the client DBC, so server-side-only changes
+ * ship without a client patch. Column layouts come from dbc-world-tables.json.
+ */
+
+const { readDbc, tableColumns } = require('./rows');
+const { diffRecords } = require('./diff');
+const { ROWS_PER_INSERT, buildInsertSql, escapeSqlValue } = require('./sql');
+
+/**
+ * Names of the exported columns a mapping refers to that the schema doesn't have
+ */
+function checkWorldMapping(mapping, schema) {
+    const columns = new Set(tableColumns(schema).map(column => column.name));
+    return Object.values(mapping.columns).filter(column => !columns.has(column));
+}
+
+/**
+ * Converts an exported record (readDbc / flattenRecord, enUS strings) to a
+ * world-table row keyed by world column
+ */
+function worldRow(mapping, record) {
+    const row = {};
+    for (const [worldColumn, column] of Object.entries(mapping.columns)) {
+        row[worldColumn] = record[column];
+    }
+    return row;
+}
+
+/**
+ * Picks the records of a module's dbc file that go into a world table: the
+ * given IDs, or every row added or changed compared to dbc_source.
+ * `unmapped` lists changed columns the world table can't hold; the server
+ * still reads those from its client DBC files.
+ * @returns {object} { records, added, changed, unmapped }
+ */
+function selectWorldRecords(mapping, schema, dbcFilePath, dbcSourceFilePath, filterIds = null) {
+    let records = readDbc(dbcFilePath, schema).records;
+    let sourceRecords = dbcSourceFilePath ? readDbc(dbcSourceFilePath, schema).records : [];
+    if (filterIds && filterIds.length > 0) {
+        records = records.filter(record => filterIds.includes(record.ID));
+        sourceRecords = sourceRecords.filter(record => filterIds.includes(record.ID));
+    }
+
+    const diff = diffRecords(sourceRecords, records);
+    const selected = filterIds && filterIds.length > 0
+        ? new Set(records.map(record => record.ID))
+        : new Set([...diff.added, ...diff.changed.map(change => change.ID)]);
+
+    const mapped = new Set(Object.values(mapping.columns));
+    const unmapped = new Set();
+    for (const change of diff.changed) {
+        Object.keys(change.fields).filter(column => !mapped.has(column)).forEach(column => unmapped.add(column));
+    }
+
+    return {
+        records: records.filter(record => selected.has(record.ID)),
+        added: diff.added,
+        changed: diff.changed.map(change => change.ID),
+        unmapped: [...unmapped]
+    };
+}
+
+/**
+ * TrinityCore-style update statements: DELETE the IDs, then INSERT the rows,
+ * so loading the file twice gives the same result
+ */
+function buildWorldTableSql(mapping, records) {
+    if (records.length === 0) return [];
+    const [idColumn, idField] = Object.entries(mapping.columns)[0];
+    const rows = records.map(record => worldRow(mapping, record));
+    const ids = records.map(record => escapeSqlValue(record[idField]));
+
+    const statements = [`DELETE FROM \`${mapping.table}\` WHERE \`${idColumn}\` IN (${ids.join(', ')});`];
+    for (let i = 0; i < rows.length; i += ROWS_PER_INSERT) {
+        statements.push(buildInsertSql(`\`${mapping.table}\``, rows.slice(i, i + ROWS_PER_INSERT)));
+    }
+    return statements;
+}
+
+module.exports = {
+    checkWorldMapping,
+    worldRow,
+    selectWorldRecords,
+    buildWorldTableSql
+};
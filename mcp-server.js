@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Local MCP server: lets an AI assistant look up DBC structure and records over stdio
+ * Usage: node mcp-server.js [--module NAME]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT,
+    loadConfig,
+    readSchemaFile,
+    loadEnums,
+    loadRelations,
+    getModulePaths,
+    loadModuleSchemas,
+    createQueryServer,
+    serveStdio
+} = require('./lib');
+
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node mcp-server.js [--module NAME]');
+    console.log('');
+    console.log('Serves the Model Context Protocol on stdin/stdout for AI assistants. Tools:');
+    console.log('  list_dbcs, describe_dbc, get_record, search, diff_record');
+    console.log('DBC files are read from the module folders; MySQL is not needed.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --module NAME    Default module (uses "module" from config.json if not specified)');
+    console.log('');
+    console.log('Example client configuration:');
+    console.log(`  { "mcpServers": { "tswow-dbc": { "command": "node", "args": ["${path.join(ROOT, 'mcp-server.js')}"] } } }`);
+    process.exit(0);
+}
+
+// stdout carries the protocol, so everything else goes to stderr
+function fail(error) {
+    console.error(`Error: ${error.message}`);
+    if (error.hint) console.error(error.hint);
+    process.exit(1);
+}
+
+let config;
+let schemaFile;
+try {
+    config = loadConfig();
+    schemaFile = readSchemaFile();
+} catch (error) {
+    fail(error);
+}
+
+const moduleName = args.indexOf('--module') !== -1 ? args[args.indexOf('--module') + 1] : config.module;
+const { moduleBasePath } = getModulePaths(config, moduleName);
+if (!fs.existsSync(moduleBasePath)) {
+    fail(new Error(`Module "${moduleName}" not found at: ${moduleBasePath}`));
+}
+
+// Fails early on a broken override file of the default module; tools load other modules' schemas on demand
+let schemaCount;
+try {
+    schemaCount = Object.keys(loadModuleSchemas(config, moduleName, schemaFile.schemas).schemas).length;
+} catch (error) {
+    fail(error);
+}
+
+// Without dbc-enums.json, only the fields with stock enums are decoded
+const enums = loadEnums();
+
+const server = createQueryServer({
+    config,
+    moduleName,
+    schemas: schemaFile.schemas,
+    schemaMeta: schemaFile.meta,
+    enums,
+    relationOverrides: loadRelations()
+});
+
+console.error(`tswow-dbc MCP server: module ${moduleName}, ${schemaCount} schemas`);
+serveStdio(server).then(() => process.exit(0));
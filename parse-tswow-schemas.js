@@ -2,160 +2,155 @@
 
 /**
  * Parse TSWoW DBC schema files to extract field definitions
- * Reads .ts files from tswow-scripts/wotlk/dbc/ and generates schema JSON
+ * Reads .ts files from tswow-scripts/wotlk/dbc/ and generates schema JSON,
+ * plus the enum/flag value names declared anywhere in tswow-scripts/wotlk/
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
 
-// Load config to get tswowSourcePath
-const configPath = path.join(__dirname, 'config.json');
-if (!fs.existsSync(configPath)) {
-    console.error('Error: config.json not found!');
-    console.error('Copy config.example.json to config.json and update settings.');
-    process.exit(1);
-}
-
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-const tswowSourcePath = config.tswowSourcePath || path.join(__dirname, '..', '..', '..', 'tswow');
+const { loadConfig, readSchemaFile, describeSchemaVersion, applyEnumMap, loadStockEnums } = require('./lib/schemas');
+const { diffSchemas } = require('./lib/diff');
+const { mapGetter, parseDbcSchema, findTypeScriptFiles } = require('./lib/dbc-definitions');
 
-// Path to TSWoW DBC definitions
-const tswowDbcPath = path.join(__dirname, tswowSourcePath, 'tswow-scripts', 'wotlk', 'dbc');
 const outputPath = path.join(__dirname, 'dbc-schemas.json');
+// The schemas replaced by the last regeneration that changed them, for schema-diff.js
+const previousOutputPath = path.join(__dirname, 'dbc-schemas.previous.json');
+const enumOutputPath = path.join(__dirname, 'dbc-enums.json');
 
-function parseDbcSchema(filePath, dbcName) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const fields = [];
-    
-    // Match getter definitions with offsets
-    // Pattern: get FieldName() { return new DBCTypeCell(this,this.buffer,this.offset+NUMBER)}
-    const getterRegex = /get\s+(\w+)\(\)\s*{\s*return\s+new\s+(DBC\w+Cell)\(this,(?:(\d+),)?this\.buffer,this\.offset\+(\d+)\)/g;
-    
-    let match;
-    while ((match = getterRegex.exec(content)) !== null) {
-        const fieldName = match[1];
-        const cellType = match[2];
-        const arraySize = match[3] ? parseInt(match[3]) : null;
-        const offset = parseInt(match[4]);
-        
-        // Skip if it's just the ID field and we already have it
-        if (fieldName === 'ID' && fields.length > 0) continue;
-        
-        // Determine field type from cell type
-        let fieldType = 'int';
-        let isArray = false;
-        let count = 1;
-        let bytesPerField = 4; // Default: 4 bytes per field
-        
-        if (cellType.includes('ULong')) {
-            fieldType = 'ulong';
-            bytesPerField = 8; // ULong is 8 bytes (64-bit)
-        } else if (cellType.includes('ByteArray')) {
-            fieldType = 'byte';
-            isArray = true;
-            count = arraySize || 1;
-            bytesPerField = 1; // 1 byte per element
-        } else if (cellType.includes('Byte')) {
-            fieldType = 'byte';
-            bytesPerField = 1; // 1 byte
-        } else if (cellType.includes('IntArray') || cellType.includes('UIntArray') || cellType.includes('MultiArray')) {
-            fieldType = 'int';
-            isArray = true;
-            count = arraySize || 1;
-        } else if (cellType.includes('FloatArray')) {
-            fieldType = 'float';
-            isArray = true;
-            count = arraySize || 1;
-        } else if (cellType.includes('Float')) {
-            fieldType = 'float';
-        } else if (cellType.includes('Loc')) {
-            fieldType = 'string';
-            isArray = true;
-            count = 17; // Localized strings have 16 language versions + 1 flags field
-        } else if (cellType.includes('StringArray')) {
-            fieldType = 'string';
-            isArray = true;
-            count = arraySize || 1;
-        } else if (cellType.includes('String')) {
-            fieldType = 'string';
-        } else if (cellType.includes('Bool') || cellType.includes('Enum') || cellType.includes('Flag') || cellType.includes('Mask') || cellType.includes('Pointer')) {
-            fieldType = 'int'; // These are all 4-byte int types
-        } else if (cellType.includes('Key') || cellType.includes('Int') || cellType.includes('UInt')) {
-            fieldType = 'int';
-        }
-        
-        fields.push({
-            name: fieldName,
-            type: fieldType,
-            offset: offset,
-            isArray: isArray,
-            count: count,
-            cellType: cellType,
-            bytesPerField: bytesPerField
-        });
+// Binary operators by increasing precedence, with JavaScript's semantics
+const ENUM_OPERATORS = [
+    { '|': (a, b) => a | b },
+    { '^': (a, b) => a ^ b },
+    { '&': (a, b) => a & b },
+    { '<<': (a, b) => a << b, '>>': (a, b) => a >> b, '>>>': (a, b) => a >>> b },
+    { '+': (a, b) => a + b, '-': (a, b) => a - b },
+    { '*': (a, b) => a * b }
+];
+
+/**
+ * Evaluates an enum member initializer. Only integer literals, earlier members
+ * of the same enum, parentheses, unary - and ~ and the operators above are
+ * accepted; anything else gives null.
+ */
+function evaluateEnumValue(expression, members) {
+    const tokens = [];
+    const tokenRegex = /\s*(0[xX][0-9a-fA-F]+|\d+|[A-Za-z_]\w*|>>>|<<|>>|[|&^~()+\-*])\s*/y;
+    while (tokenRegex.lastIndex < expression.length) {
+        const match = tokenRegex.exec(expression);
+        if (!match) return null;
+        tokens.push(match[1]);
     }
-    
-    // Sort by offset to get correct field order
-    fields.sort((a, b) => a.offset - b.offset);
-    
-    // Calculate total field count (in 4-byte units) by finding max offset + size
-    let maxByteOffset = 0;
-    fields.forEach(field => {
-        const fieldEndByte = field.offset + (field.isArray ? (field.count * field.bytesPerField) : field.bytesPerField);
-        if (fieldEndByte > maxByteOffset) {
-            maxByteOffset = fieldEndByte;
+
+    let position = 0;
+    const operand = () => {
+        const token = tokens[position++];
+        if (token === '-') return -operand();
+        if (token === '~') return ~operand();
+        if (token === '(') {
+            const value = binary(0);
+            if (tokens[position++] !== ')') throw new Error('unbalanced parentheses');
+            return value;
         }
-        
-        // Field index is the byte offset divided by 4 (since DBC reads in 4-byte chunks)
-        field.fieldIndex = Math.floor(field.offset / 4);
-        
-        if (field.isArray) {
-            field.fieldIndices = [];
-            if (field.bytesPerField === 1) {
-                // Byte arrays: calculate which 4-byte chunk each byte falls into
-                for (let i = 0; i < field.count; i++) {
-                    const bytePos = field.offset + i;
-                    field.fieldIndices.push(Math.floor(bytePos / 4));
-                }
-            } else {
-                // Standard arrays (4 bytes per element)
-                for (let i = 0; i < field.count; i++) {
-                    field.fieldIndices.push(field.fieldIndex + i);
-                }
-            }
-        } else if (field.bytesPerField === 8) {
-            // ULong fields span 2 field indices
-            field.fieldIndices = [field.fieldIndex, field.fieldIndex + 1];
-        } else if (field.bytesPerField === 1) {
-            // Single byte field - track which byte within the 4-byte chunk
-            field.byteIndexInChunk = field.offset % 4;
+        if (/^(0[xX][0-9a-fA-F]+|\d+)$/.test(token)) return Number(token);
+        if (token !== undefined && Object.prototype.hasOwnProperty.call(members, token)) return members[token];
+        throw new Error(`unexpected ${token}`);
+    };
+    const binary = level => {
+        if (level === ENUM_OPERATORS.length) return operand();
+        let value = binary(level + 1);
+        while (position < tokens.length && tokens[position] in ENUM_OPERATORS[level]) {
+            const apply = ENUM_OPERATORS[level][tokens[position++]];
+            value = apply(value, binary(level + 1));
         }
-    });
-    
-    // Total fields is the max byte offset divided by 4 (rounded up)
-    const totalFields = Math.ceil(maxByteOffset / 4);
-    
-    return {
-        name: dbcName,
-        totalFields: totalFields,
-        fields: fields
+        return value;
     };
+
+    try {
+        const value = binary(0);
+        return position === tokens.length && Number.isFinite(value) ? value : null;
+    } catch (error) {
+        return null;
+    }
 }
 
-function parseAllSchemas() {
-    console.log('Parsing TSWoW DBC schemas...\n');
-    
+function parseEnums(content) {
+    const enums = {};
+    const enumRegex = /(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+(\w+)\s*{([^}]*)}/g;
+
+    let match;
+    while ((match = enumRegex.exec(content)) !== null) {
+        const members = {};
+        let next = 0;
+        const body = match[2].replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '');
+
+        for (const member of body.split(',')) {
+            const memberMatch = /^\s*(\w+)\s*(?:=\s*([\s\S]+?))?\s*$/.exec(member);
+            if (!memberMatch) continue;
+            const value = memberMatch[2] !== undefined ? evaluateEnumValue(memberMatch[2], members) : next;
+            // String enums and unresolvable initializers can't be decoded from DBC values
+            if (value === null) break;
+            members[memberMatch[1]] = value;
+            next = value + 1;
+        }
+
+        if (Object.keys(members).length > 0) enums[match[1]] = members;
+    }
+
+    return enums;
+}
+
+function parseAllEnums(tswowScriptsPath) {
+    const enums = {};
+    for (const file of findTypeScriptFiles(tswowScriptsPath)) {
+        const parsed = parseEnums(fs.readFileSync(file, 'utf8'));
+        for (const [name, values] of Object.entries(parsed)) {
+            // The first declaration wins if several files declare the same enum name
+            if (!enums[name]) enums[name] = values;
+        }
+    }
+    return enums;
+}
+
+/**
+ * Path to the TSWoW wotlk scripts. tswowSourcePath defaults to the one in config.json,
+ * relative to this repository.
+ */
+function getTswowScriptsPath(tswowSourcePath) {
+    if (!tswowSourcePath) {
+        tswowSourcePath = loadConfig().tswowSourcePath || path.join(__dirname, '..', '..', '..', 'tswow');
+    }
+    return path.join(__dirname, tswowSourcePath, 'tswow-scripts', 'wotlk');
+}
+
+// Commit of the tswow checkout the definitions were read from, null if it isn't a git repository
+function getSourceCommit(tswowScriptsPath) {
+    try {
+        return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: tswowScriptsPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseAllSchemas(tswowSourcePath) {
+    // Path to TSWoW DBC definitions
+    const tswowScriptsPath = getTswowScriptsPath(tswowSourcePath);
+    const tswowDbcPath = path.join(tswowScriptsPath, 'dbc');
+
     if (!fs.existsSync(tswowDbcPath)) {
-        console.error(`Error: TSWoW DBC path not found: ${tswowDbcPath}`);
-        console.error('Make sure the tswow repository is in the expected location.');
-        process.exit(1);
+        throw new Error(`TSWoW DBC path not found: ${tswowDbcPath}\nMake sure the tswow repository is in the expected location.`);
     }
+
+    console.log('Parsing TSWoW DBC schemas...\n');
     
     const files = fs.readdirSync(tswowDbcPath)
         .filter(f => f.endsWith('.ts') && f !== 'Types.ts')
         .sort();
     
     const schemas = {};
+    const unmapped = [];
     let parsed = 0;
     let skipped = 0;
     
@@ -164,7 +159,7 @@ function parseAllSchemas() {
         const filePath = path.join(tswowDbcPath, file);
         
         try {
-            const schema = parseDbcSchema(filePath, dbcName);
+            const schema = parseDbcSchema(filePath, dbcName, unmapped);
             
             if (schema.fields.length > 0) {
                 schemas[dbcName] = schema;
@@ -174,6 +169,7 @@ function parseAllSchemas() {
                     console.log(`✓ ${dbcName}: ${schema.fields.length} fields (${schema.totalFields} total with arrays)`);
                 }
             } else {
+                console.warn(`✗ ${dbcName}: no fields found`);
                 skipped++;
             }
         } catch (error) {
@@ -188,18 +184,68 @@ function parseAllSchemas() {
     
     console.log(`\nParsed: ${parsed} schemas`);
     console.log(`Skipped: ${skipped} files`);
+
+    // Getters the parser can't map would otherwise be missing from the schema without notice
+    if (unmapped.length > 0) {
+        console.warn(`\nUnmapped getters: ${unmapped.length}`);
+        unmapped.forEach(entry => console.warn(`  ⚠ ${entry.dbc}.${entry.getter} (${entry.dbc}.ts:${entry.line}): ${entry.error}`));
+    }
+
+    applyEnumMap(schemas).forEach(key => console.warn(`Warning: dbc-enum-map.json entry ${key} does not match any schema field`));
+
+    // Keep only the enums that schema fields refer to; TSWoW's declarations win over the stock ones
+    const allEnums = { ...loadStockEnums(), ...parseAllEnums(tswowScriptsPath) };
+    const enums = {};
+    for (const schema of Object.values(schemas)) {
+        for (const field of schema.fields) {
+            if (!field.enumType) continue;
+            if (allEnums[field.enumType]) {
+                enums[field.enumType] = allEnums[field.enumType];
+            } else {
+                console.warn(`Warning: enum ${field.enumType} used by ${schema.name}.${field.name} was not found`);
+            }
+        }
+    }
+    console.log(`Enums: ${Object.keys(enums).length} referenced by schema fields`);
     
+    // The version only changes when the generated schemas do
+    const hash = crypto.createHash('sha1').update(JSON.stringify(schemas)).digest('hex');
+    const previous = fs.existsSync(outputPath) ? readSchemaFile(outputPath) : null;
+    const changed = !previous || previous.meta.hash !== hash;
+    const meta = {
+        version: changed ? (previous && previous.meta.version || 0) + 1 : previous.meta.version,
+        hash,
+        sourceCommit: getSourceCommit(tswowScriptsPath)
+    };
+
+    console.log(`\nSchema version: ${describeSchemaVersion(meta.version, meta.sourceCommit)}`);
+    if (previous && changed) {
+        const diff = diffSchemas(previous.schemas, schemas);
+        console.log(`Changed since ${describeSchemaVersion(previous.meta.version, previous.meta.sourceCommit)}: `
+            + `${diff.added.length} DBCs added, ${diff.removed.length} removed, ${Object.keys(diff.changed).length} with field changes`);
+        fs.copyFileSync(outputPath, previousOutputPath);
+        console.log(`Previous schemas kept in ${path.basename(previousOutputPath)} (node schema-diff.js ${path.basename(previousOutputPath)} for details)`);
+    }
+
     // Write to JSON file
-    fs.writeFileSync(outputPath, JSON.stringify(schemas, null, 2));
+    fs.writeFileSync(outputPath, JSON.stringify({ _meta: meta, ...schemas }, null, 2));
     console.log(`\n✓ Schemas saved to: ${outputPath}`);
+    fs.writeFileSync(enumOutputPath, JSON.stringify(enums, null, 2));
+    console.log(`✓ Enums saved to: ${enumOutputPath}`);
     
     return schemas;
 }
 
 // Run if called directly
 if (require.main === module) {
-    parseAllSchemas();
+    try {
+        parseAllSchemas();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        if (error.hint) console.error(error.hint);
+        process.exit(1);
+    }
 }
 
-module.exports = { parseAllSchemas, parseDbcSchema };
+module.exports = { parseAllSchemas, parseDbcSchema, parseEnums, evaluateEnumValue, mapGetter };
 
@@ -2,153 +2,205 @@
 
 /**
  * Schema-aware DBC reader - uses TSWoW field definitions
- * Usage: node read-dbc-schema.js <dbc-name> [--limit N]
+ * Usage: node read-dbc-schema.js <dbc-name> [--module NAME] [--source SOURCE] [--file PATH | --mpq DATA_DIR] [--ids ID,...]
+ *        [--where EXPR]... [--fields A,B] [--format FORMAT] [--limit N] [--all-locales]
  */
 
 const fs = require('fs');
 const path = require('path');
+const {
+    loadConfig,
+    loadSchemas,
+    loadModuleSchemas,
+    getModulePaths,
+    openClientData,
+    extractClientDbcs,
+    clientDbcFolder,
+    readDbc,
+    jsonReplacer,
+    compileFilter,
+    compileProjection,
+    FORMATS,
+    formatNdjson,
+    formatCsv,
+    formatTable
+} = require('./lib');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
-    console.log('Usage: node read-dbc-schema.js <dbc-name> [--limit N]');
+    console.log('Usage: node read-dbc-schema.js <dbc-name> [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --module NAME    Module name (uses "module" from config.json if not specified); its datascript and');
+    console.log('                   override schemas apply to its folders, and to --file/--mpq only when given');
+    console.log('  --source TYPE    Module folder to read: "dbc" or "dbc_source" (default: dbc_source)');
+    console.log('  --file PATH      Read this .dbc file instead (the DBC name defaults to the file name)');
+    console.log('  --mpq DATA_DIR   Read the DBC a WoW client loads, from the MPQ archives of its Data folder');
+    console.log('  --mpq-locale LOCALE  Client locale folder, e.g. enUS (default: the only one in DATA_DIR)');
+    console.log('  --ids ID,ID,...  Only records with these IDs');
+    console.log('  --where EXPR     Only records matching EXPR; repeat for several (all must match)');
+    console.log('                   COLUMN=V  !=  <  <=  >  >=   numeric or exact string comparison');
+    console.log('                   COLUMN&MASK                  any of the bits in MASK is set');
+    console.log('                   COLUMN~TEXT  COLUMN!~TEXT     contains / does not contain (case-insensitive)');
+    console.log('                   COLUMN is a field (any element of an array) or a column such as Reagent_2');
+    console.log('  --fields A,B     Only show these fields or columns');
+    console.log('  --format TYPE    "json", "ndjson", "csv" or "table" (default: json)');
+    console.log('  --limit N        Limit number of records');
+    console.log('  --all-locales    Show every locale of localized strings instead of only enUS');
     console.log('');
     console.log('Examples:');
     console.log('  node read-dbc-schema.js Faction');
     console.log('  node read-dbc-schema.js Achievement_Category --limit 10');
+    console.log('  node read-dbc-schema.js Spell --limit 1 --all-locales');
+    console.log('  node read-dbc-schema.js Spell --source dbc --ids 80902 --format table --fields ID,Name,SchoolMask');
+    console.log('  node read-dbc-schema.js Spell --where "SchoolMask&4" --where "Name~Fire" --fields ID,Name --format csv');
+    console.log('  node read-dbc-schema.js --file ./patch/SpellIcon.dbc --format ndjson');
+    console.log('  node read-dbc-schema.js Spell --mpq "C:/WoW 3.3.5a/Data" --ids 133');
     process.exit(0);
 }
 
-const dbcName = args[0];
-const limitIndex = args.indexOf('--limit');
-const limit = limitIndex !== -1 && args[limitIndex + 1] ? parseInt(args[limitIndex + 1]) : null;
-
-// Load schema
-const schemaPath = path.join(__dirname, 'dbc-schemas.json');
-if (!fs.existsSync(schemaPath)) {
-    console.error('Error: dbc-schemas.json not found!');
-    console.error('Run: node parse-tswow-schemas.js');
-    process.exit(1);
+function optionValue(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
 }
 
-const schemas = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
-const schema = schemas[dbcName];
+function optionValues(name) {
+    return args.flatMap((arg, i) => arg === name && args[i + 1] !== undefined ? [args[i + 1]] : []);
+}
 
-if (!schema) {
-    console.error(`Error: No schema found for ${dbcName}`);
-    console.error(`\nAvailable schemas: ${Object.keys(schemas).slice(0, 20).join(', ')}, ...`);
+const filePath = optionValue('--file');
+const dbcName = args[0].startsWith('--')
+    ? (filePath ? path.basename(filePath, path.extname(filePath)) : null)
+    : args[0];
+const moduleArg = optionValue('--module');
+const sourceType = optionValue('--source') || 'dbc_source';
+const mpqPath = optionValue('--mpq');
+const mpqLocale = optionValue('--mpq-locale');
+const limit = optionValue('--limit') ? parseInt(optionValue('--limit')) : null;
+const filterIds = optionValue('--ids') ? optionValue('--ids').split(',').map(id => parseInt(id.trim())) : null;
+const where = optionValues('--where');
+const fields = optionValue('--fields') ? optionValue('--fields').split(',').map(field => field.trim()) : null;
+const format = optionValue('--format') || 'json';
+const allLocales = args.includes('--all-locales');
+
+if (!dbcName) {
+    console.error('Error: DBC name or --file is required');
     process.exit(1);
 }
 
-// Read DBC file
-const dbcSourcePath = path.join(__dirname, '..', '..', 'modules', 'default', 'datasets', 'dataset', 'dbc_source', `${dbcName}.dbc`);
-
-if (!fs.existsSync(dbcSourcePath)) {
-    console.error(`Error: DBC file not found: ${dbcSourcePath}`);
+if (!['dbc', 'dbc_source'].includes(sourceType)) {
+    console.error('Error: --source must be "dbc" or "dbc_source"');
     process.exit(1);
 }
 
-const buffer = fs.readFileSync(dbcSourcePath);
+if (!FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of: ${FORMATS.join(', ')}`);
+    process.exit(1);
+}
 
-// Parse DBC header
-const header = buffer.toString('ascii', 0, 4);
-if (header !== 'WDBC') {
-    console.error(`Error: Invalid DBC header: ${header}`);
+// Load schema
+let schemas;
+try {
+    schemas = loadSchemas();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(error.hint);
     process.exit(1);
 }
 
-const recordCount = buffer.readInt32LE(4);
-const fieldCount = buffer.readUInt32LE(8);
-const recordSize = buffer.readInt32LE(12);
-const stringSize = buffer.readInt32LE(16);
-
-// Calculate offsets
-const dataStart = 20;
-const dataEnd = dataStart + (recordCount * recordSize);
-const stringTableStart = dataEnd;
-
-// Helper function to read strings from the string table
-function readString(offset) {
-    if (offset === 0) return '';
-    const start = stringTableStart + offset;
-    let end = start;
-    while (end < buffer.length && buffer[end] !== 0) {
-        end++;
+// A module's folders need config.json; --file and --mpq only when a module's schemas are asked for
+const readsModule = !filePath && !mpqPath;
+let config = null;
+let moduleName = null;
+if (readsModule || moduleArg) {
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error(error.hint);
+        if (readsModule) console.error('Or pass the file directly with --file PATH');
+        process.exit(1);
+    }
+    moduleName = moduleArg || config.module;
+
+    // Custom and patched DBC layouts of the module (datascripts, dbc-schemas.override.json)
+    try {
+        ({ schemas } = loadModuleSchemas(config, moduleName, schemas));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
     }
-    return buffer.toString('utf8', start, end);
 }
 
-// Helper function to read a field value based on type
-function readFieldValue(recordOffset, byteOffset, fieldType) {
-    const offset = recordOffset + byteOffset;
-    
-    if (fieldType === 'float') {
-        return buffer.readFloatLE(offset);
-    } else if (fieldType === 'string') {
-        const stringOffset = buffer.readInt32LE(offset);
-        return readString(stringOffset);
-    } else if (fieldType === 'ulong') {
-        // ULong is 8 bytes - read as BigInt
-        return Number(buffer.readBigUInt64LE(offset));
-    } else if (fieldType === 'byte') {
-        // Byte is 1 byte
-        return buffer.readUInt8(offset);
-    } else {
-        // int or default
-        return buffer.readInt32LE(offset);
-    }
+const schema = schemas[dbcName];
+
+if (!schema) {
+    console.error(`Error: No schema found for ${dbcName}`);
+    console.error(`\nAvailable schemas: ${Object.keys(schemas).slice(0, 20).join(', ')}, ...`);
+    process.exit(1);
 }
 
-// Read records using schema
-const records = [];
-for (let i = 0; i < recordCount; i++) {
-    if (limit !== null && i >= limit) break;
-    
-    const recordOffset = dataStart + (i * recordSize);
-    const record = {};
-    
-    for (const field of schema.fields) {
-        if (field.isArray) {
-            // Handle arrays (including localized strings)
-            const values = [];
-            for (let j = 0; j < field.count; j++) {
-                const byteOffset = field.offset + (j * field.bytesPerField);
-                const value = readFieldValue(recordOffset, byteOffset, field.type);
-                values.push(value);
-            }
-            
-            // For localized strings, only include non-empty first value (enUS)
-            if (field.type === 'string' && field.count > 1) {
-                record[field.name] = values[0]; // enUS locale
-                // Optionally include all locales
-                // record[`${field.name}_locales`] = values;
-            } else {
-                record[field.name] = values;
-            }
-        } else {
-            // Single value - use actual byte offset from schema
-            const value = readFieldValue(recordOffset, field.offset, field.type);
-            record[field.name] = value;
+// Read DBC file: --file, the client's MPQ archives, or the module folder from config.json
+let dbcFilePath;
+if (filePath) {
+    dbcFilePath = path.resolve(filePath);
+} else if (mpqPath) {
+    let client;
+    try {
+        client = openClientData(mpqPath, mpqLocale);
+        const folder = clientDbcFolder(mpqPath, client);
+        if (extractClientDbcs(client, folder, [dbcName]).length === 0) {
+            console.error(`Error: DBFilesClient\\${dbcName}.dbc not found in the MPQ archives of ${mpqPath}`);
+            process.exit(1);
         }
+        dbcFilePath = path.join(folder, `${dbcName}.dbc`);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        if (error.hint) console.error(error.hint);
+        process.exit(1);
+    } finally {
+        if (client) client.close();
     }
-    
-    records.push(record);
+} else {
+    const paths = getModulePaths(config, moduleName);
+    dbcFilePath = path.join(sourceType === 'dbc' ? paths.dbcPath : paths.dbcSourcePath, `${dbcName}.dbc`);
 }
 
-// Output JSON
-console.log(JSON.stringify({
-    dbcName,
-    schema: {
-        totalFields: schema.totalFields,
-        namedFields: schema.fields.length
-    },
-    metadata: {
-        recordCount,
-        fieldCount,
-        recordSize,
-        stringSize,
-        recordsShown: records.length
-    },
-    records
-}, null, 2));
+if (!fs.existsSync(dbcFilePath)) {
+    console.error(`Error: DBC file not found: ${dbcFilePath}`);
+    process.exit(1);
+}
 
+// JSON and NDJSON keep arrays and localized strings as one property; CSV and tables use the MySQL columns
+const nested = format === 'json' || format === 'ndjson';
+
+let data;
+try {
+    const filter = compileFilter(schema, { ids: filterIds, where, allLocales });
+    data = readDbc(dbcFilePath, schema, { limit, allLocales, nested, filter });
+    if (fields) data.records = data.records.map(compileProjection(schema, fields, { nested, allLocales }));
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+if (format === 'ndjson') {
+    if (data.records.length > 0) console.log(formatNdjson(data.records));
+} else if (format === 'csv') {
+    console.log(formatCsv(data.records));
+} else if (format === 'table') {
+    console.log(formatTable(data.records));
+    console.log(`\n(${data.records.length} of ${data.metadata.recordCount} records)`);
+} else {
+    // Output JSON
+    console.log(JSON.stringify({
+        dbcName,
+        schema: {
+            totalFields: schema.totalFields,
+            namedFields: schema.fields.length
+        },
+        metadata: data.metadata,
+        records: data.records
+    }, jsonReplacer, 2)); // ULong values as exact strings
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Compare two schema files: DBCs and fields added, removed, renamed or moved
+ * Usage: node schema-diff.js <old-schemas.json> [new-schemas.json] [--dbc NAME] [--format text|json]
+ */
+
+const path = require('path');
+const { ROOT, readSchemaFile, describeSchemaVersion, diffSchemas } = require('./lib');
+
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node schema-diff.js <old-schemas.json> [new-schemas.json] [options]');
+    console.log('');
+    console.log('Compares two schema files generated by parse-tswow-schemas.js.');
+    console.log('new-schemas.json defaults to dbc-schemas.json.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --dbc NAME       Only compare this DBC');
+    console.log('  --format TYPE    "text" or "json" (default: text)');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node schema-diff.js dbc-schemas.previous.json');
+    console.log('  git show HEAD~1:dbc-schemas.json > old.json && node schema-diff.js old.json --dbc Spell');
+    process.exit(0);
+}
+
+function optionValue(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+const singleDbc = optionValue('--dbc');
+const format = optionValue('--format') || 'text';
+const files = args.filter((arg, i) => !arg.startsWith('--') && !['--dbc', '--format'].includes(args[i - 1]));
+const oldPath = files[0];
+const newPath = files[1] || path.join(ROOT, 'dbc-schemas.json');
+
+if (!oldPath) {
+    console.error('Error: the old schema file is required');
+    process.exit(1);
+}
+
+if (!['text', 'json'].includes(format)) {
+    console.error('Error: --format must be "text" or "json"');
+    process.exit(1);
+}
+
+let oldFile;
+let newFile;
+try {
+    oldFile = readSchemaFile(path.resolve(oldPath));
+    newFile = readSchemaFile(path.resolve(newPath));
+} catch (error) {
+    console.error(`Error: ${error.code === 'ENOENT' ? error.message : `${error.message} (not a schema file?)`}`);
+    process.exit(1);
+}
+
+function only(schemas) {
+    return singleDbc ? (schemas[singleDbc] ? { [singleDbc]: schemas[singleDbc] } : {}) : schemas;
+}
+
+if (singleDbc && !oldFile.schemas[singleDbc] && !newFile.schemas[singleDbc]) {
+    console.error(`Error: No schema found for ${singleDbc} in either file`);
+    process.exit(1);
+}
+
+const diff = diffSchemas(only(oldFile.schemas), only(newFile.schemas));
+
+if (format === 'json') {
+    console.log(JSON.stringify({ old: oldFile.meta, new: newFile.meta, ...diff }, null, 2));
+    process.exit(0);
+}
+
+function formatLayout(changes) {
+    return Object.entries(changes).map(([property, values]) => `${property} ${values.old} → ${values.new}`).join(', ');
+}
+
+console.log('=== Schema Diff ===\n');
+console.log(`Old: ${oldPath} (${describeSchemaVersion(oldFile.meta.version, oldFile.meta.sourceCommit)})`);
+console.log(`New: ${newPath} (${describeSchemaVersion(newFile.meta.version, newFile.meta.sourceCommit)})`);
+
+if (diff.added.length > 0) console.log(`\n+ Added DBCs: ${diff.added.join(', ')}`);
+if (diff.removed.length > 0) console.log(`\n- Removed DBCs: ${diff.removed.join(', ')}`);
+
+for (const [dbcName, fields] of Object.entries(diff.changed)) {
+    console.log(`\n=== ${dbcName}: ${fields.added.length} added, ${fields.removed.length} removed, ${fields.renamed.length} renamed, ${fields.changed.length} changed ===`);
+    fields.renamed.forEach(rename => console.log(`  → ${rename.from} renamed to ${rename.to}`));
+    fields.added.forEach(name => console.log(`  + ${name}`));
+    fields.removed.forEach(name => console.log(`  - ${name}`));
+    fields.changed.forEach(change => console.log(`  ~ ${change.name}: ${formatLayout(change.changes)}`));
+}
+
+console.log(`\nChanged DBCs: ${Object.keys(diff.changed).length}, added: ${diff.added.length}, removed: ${diff.removed.length}`);
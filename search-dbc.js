@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Find where an ID or a text appears across every DBC of a module
+ * Usage: node search-dbc.js <value|text> [--module NAME] [--source SOURCE] [--target DBC] [--text TEXT | --regex PATTERN]
+ *        [--dbc NAME,...] [--all-locales] [--format FORMAT]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    loadConfig,
+    readSchemaFile,
+    loadModuleSchemas,
+    loadRelations,
+    getModulePaths,
+    searchDbc,
+    jsonReplacer
+} = require('./lib');
+
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node search-dbc.js <value|text> [options]');
+    console.log('');
+    console.log('Scans every DBC with a schema for an integer (in int columns) or a text (in string columns)');
+    console.log('and prints each hit as DBC.column[ID]. No MySQL needed.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --module NAME    Module name (uses "module" from config.json if not specified)');
+    console.log('  --source TYPE    "dbc", "dbc_source" or "both" (default: both)');
+    console.log('  --target DBC     Only match the value in fields that point at this DBC: its relation in');
+    console.log('                   dbc-relations.json, or a name containing the DBC name; plus the DBC\'s own ID');
+    console.log('  --text TEXT      Search string columns for TEXT (case-insensitive), even if it is a number');
+    console.log('  --regex PATTERN  Search string columns with a regular expression (case-insensitive)');
+    console.log('  --dbc NAME,...   Only search these DBCs');
+    console.log('  --all-locales    Search every locale of localized strings instead of only enUS');
+    console.log('  --format TYPE    "text" or "json" (default: text)');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node search-dbc.js 80902 --target Spell');
+    console.log('  node search-dbc.js 1449 --target SpellIcon --source dbc');
+    console.log('  node search-dbc.js Frostbolt');
+    console.log('  node search-dbc.js --regex \'^Interface\\\\Icons\\\\Spell_Frost\' --format json');
+    process.exit(0);
+}
+
+function optionValue(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+// Options that take a value; the remaining argument is the search term
+const VALUE_OPTIONS = ['--module', '--source', '--target', '--text', '--regex', '--dbc', '--format'];
+const term = args.find((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+const text = optionValue('--text');
+const regexPattern = optionValue('--regex');
+const targetDbc = optionValue('--target');
+const sourceType = optionValue('--source') || 'both';
+const dbcFilter = optionValue('--dbc') ? optionValue('--dbc').split(',').map(name => name.trim()) : null;
+const allLocales = args.includes('--all-locales');
+const format = optionValue('--format') || 'text';
+
+if ([term, text, regexPattern].filter(value => value !== undefined && value !== null).length !== 1) {
+    console.error('Error: give one search term: a value, --text TEXT or --regex PATTERN');
+    process.exit(1);
+}
+
+if (!['dbc', 'dbc_source', 'both'].includes(sourceType)) {
+    console.error('Error: --source must be "dbc", "dbc_source", or "both"');
+    process.exit(1);
+}
+
+if (!['text', 'json'].includes(format)) {
+    console.error('Error: --format must be "text" or "json"');
+    process.exit(1);
+}
+
+const query = { allLocales };
+if (regexPattern !== null) {
+    try {
+        query.regex = new RegExp(regexPattern, 'i');
+    } catch (error) {
+        console.error(`Error: --regex: ${error.message}`);
+        process.exit(1);
+    }
+} else if (text !== null) {
+    query.text = text;
+} else if (/^-?(\d+|0x[0-9a-f]+)$/i.test(term)) {
+    // BigInt keeps ULong values above 2^53 exact
+    const magnitude = BigInt(term.replace(/^-/, ''));
+    query.value = term.startsWith('-') ? -magnitude : magnitude;
+    if (targetDbc) query.targetDbc = targetDbc;
+} else {
+    query.text = term;
+}
+
+if (targetDbc && query.value === undefined) {
+    console.error('Error: --target applies to integer searches');
+    process.exit(1);
+}
+
+// dbc-schemas.json plus the module's datascript definitions and overrides, as in the export
+let config;
+let moduleName;
+let schemas;
+try {
+    config = loadConfig();
+    moduleName = optionValue('--module') || config.module;
+    schemas = loadModuleSchemas(config, moduleName, readSchemaFile().schemas).schemas;
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error.hint) console.error(error.hint);
+    process.exit(1);
+}
+
+const paths = getModulePaths(config, moduleName);
+const relationOverrides = loadRelations();
+
+const unknown = (dbcFilter || []).filter(name => !schemas[name]);
+if (unknown.length > 0) {
+    console.error(`Error: No schema found for ${unknown.join(', ')}`);
+    process.exit(1);
+}
+const dbcNames = dbcFilter || Object.keys(schemas).sort();
+
+const sources = [];
+if (sourceType === 'dbc' || sourceType === 'both') sources.push({ name: 'dbc', folder: paths.dbcPath });
+if (sourceType === 'dbc_source' || sourceType === 'both') sources.push({ name: 'dbc_source', folder: paths.dbcSourcePath });
+
+function describeQuery() {
+    if (query.regex) return `/${regexPattern}/i in string columns`;
+    if (query.text !== undefined) return `"${query.text}" in string columns`;
+    return `${query.value} in ${targetDbc ? `fields pointing at ${targetDbc}` : 'integer columns'}`;
+}
+
+function describeHit(hit) {
+    const where = `${hit.dbc}.${hit.column}[${hit.id !== null ? hit.id : `row ${hit.row}`}]`;
+    return query.value !== undefined ? where : `${where} = ${JSON.stringify(hit.value)}`;
+}
+
+const results = {};
+const failures = [];
+for (const source of sources) {
+    results[source.name] = [];
+    if (!fs.existsSync(source.folder)) {
+        failures.push(`${source.name} folder not found: ${source.folder}`);
+        continue;
+    }
+
+    for (const dbcName of dbcNames) {
+        const dbcFilePath = path.join(source.folder, `${dbcName}.dbc`);
+        if (!fs.existsSync(dbcFilePath)) continue;
+        try {
+            results[source.name].push(...searchDbc(dbcFilePath, schemas[dbcName], query, relationOverrides));
+        } catch (error) {
+            failures.push(`${source.name}/${dbcName}.dbc: ${error.message}`);
+        }
+    }
+}
+
+if (format === 'json') {
+    console.log(JSON.stringify({ module: moduleName, query: describeQuery(), hits: results }, jsonReplacer, 2));
+} else {
+    console.log(`Searching ${moduleName} for ${describeQuery()}`);
+    for (const [source, hits] of Object.entries(results)) {
+        const dbcCount = new Set(hits.map(hit => hit.dbc)).size;
+        console.log(`\n${source}: ${hits.length === 0 ? 'no hits' : `${hits.length} hit${hits.length === 1 ? '' : 's'} in ${dbcCount} DBC${dbcCount === 1 ? '' : 's'}`}`);
+        hits.forEach(hit => console.log(`  ${describeHit(hit)}`));
+    }
+}
+
+failures.forEach(failure => console.error(`Warning: ${failure}`));
@@ -0,0 +1,49 @@
+/*
+ * A cut-down tswow-scripts/wotlk/dbc/Spell.ts with the constructs the
+ * definition reader has to get through
+ */
+import { DBCRow, DBCKeyCell, DBCUIntCell, DBCEnumCell, DBCFlagCell, DBCPointerCell, DBCIntArrayCell, DBCLocCell } from '../DBCCell'
+import { SpellAttr0, SpellDispelType } from '../../std/Spell/SpellAttr'
+
+const MAX_LEVEL = 80;
+
+export class SpellRow extends DBCRow<SpellCreator, SpellQuery> {
+    /**
+     * Primary Key
+     *
+     * No comment (yet!)
+     */
+    @PrimaryKey()
+    get ID() { return new DBCKeyCell(this,this.buffer,this.offset+0)}
+
+    /**
+     * No comment (yet!)
+     */
+    get Category() { return new DBCUIntCell(this,this.buffer,this.offset+4)}
+
+    /**
+     * Spells with the same dispel type
+     * are removed together.
+     *
+     * Magic is the default.
+     * @see SpellDispelType
+     */
+    get DispelType() { return new DBCEnumCell<SpellDispelType>(this,this.buffer,this.offset+8)}
+
+    public get Attributes(): DBCFlagCell<this, SpellAttr0> {
+        return new DBCFlagCell<SpellAttr0>(this, this.buffer, this.offset + 12);
+    }
+
+    get SpellIconID() { return new DBCPointerCell<SpellIconRow>(this,this.buffer,this.offset+16)}
+
+    // The checks after the offset don't affect the layout
+    get EffectDieSides() { return new DBCIntArrayCell(this,3,this.buffer,this.offset+20, (value, index) => value < 0 || index > 2, 'dice')}
+
+    get Name() { return new DBCLocCell(this,this.buffer,this.offset+4*8)}
+
+    get MaxLevel() { return new DBCUIntCell(this, MAX_LEVEL > 70 ? 1 : 2, this.buffer, this.offset + 100)}
+
+    get SchoolMask() { return new DBCUIntCell(this, this.buffer, this.offset + (1 << 5) + 72)}
+
+    get Creator() { return this.creator }
+}
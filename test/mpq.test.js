@@ -0,0 +1,149 @@
+/**
+ * Round-trips a small synthetic archive through the MPQ and bzip2 readers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { hashString, encryptBlock, MpqArchive, openClientData } = require('../lib/mpq');
+const { decompressBzip2 } = require('../lib/bzip2');
+
+const FILE_COMPRESS = 0x00000200;
+const FILE_ENCRYPTED = 0x00010000;
+const FILE_SINGLE_UNIT = 0x01000000;
+const FILE_EXISTS = 0x80000000;
+
+// bzip2 -9 of the first 512 bytes of SPELL_DATA
+const SPELL_SECTOR_BZIP2 = Buffer.from(
+    '425a68393141592653591543e54e00000f89007fe03f00200050a60009a055404c04ce822090260a02a0f81605c180641a06c1c07e0e83c2ee48a70a1202a87ca9c0',
+    'hex'
+);
+const SPELL_DATA = Buffer.from('0123456789abcdef'.repeat(40));
+
+/**
+ * Builds a version 1 archive with 512-byte sectors
+ * @param {object[]} files - [{ name, locale, data, flags }]; data is the stored bytes
+ */
+function buildArchive(files) {
+    const hashCount = 16;
+    const hashTable = Buffer.alloc(hashCount * 16, 0xff);
+    const blockTable = Buffer.alloc(files.length * 16);
+    let position = 32;
+
+    files.forEach((file, blockIndex) => {
+        let slot = hashString(file.name, 0) % hashCount;
+        while (hashTable.readUInt32LE((slot * 16) + 12) !== 0xffffffff) slot = (slot + 1) % hashCount;
+        hashTable.writeUInt32LE(hashString(file.name, 1), slot * 16);
+        hashTable.writeUInt32LE(hashString(file.name, 2), (slot * 16) + 4);
+        hashTable.writeUInt16LE(file.locale || 0, (slot * 16) + 8);
+        hashTable.writeUInt16LE(0, (slot * 16) + 10);
+        hashTable.writeUInt32LE(blockIndex, (slot * 16) + 12);
+
+        blockTable.writeUInt32LE(position, blockIndex * 16);
+        blockTable.writeUInt32LE(file.data.length, (blockIndex * 16) + 4);
+        blockTable.writeUInt32LE(file.fileSize || file.data.length, (blockIndex * 16) + 8);
+        blockTable.writeUInt32LE((file.flags | FILE_EXISTS) >>> 0, (blockIndex * 16) + 12);
+        position += file.data.length;
+    });
+
+    const header = Buffer.alloc(32);
+    header.writeUInt32LE(0x1a51504d, 0);
+    header.writeUInt32LE(32, 4);
+    header.writeUInt32LE(position + hashTable.length + blockTable.length, 8);
+    header.writeUInt16LE(0, 12);
+    header.writeUInt16LE(0, 14);
+    header.writeUInt32LE(position, 16);
+    header.writeUInt32LE(position + hashTable.length, 20);
+    header.writeUInt32LE(hashCount, 24);
+    header.writeUInt32LE(files.length, 28);
+
+    return Buffer.concat([
+        header,
+        ...files.map(file => file.data),
+        encryptBlock(hashTable, hashString('(hash table)', 3)),
+        encryptBlock(blockTable, hashString('(block table)', 3))
+    ]);
+}
+
+// Spell.dbc in two encrypted sectors: the first bzip2, the second zlib
+function spellFile() {
+    const key = hashString('Spell.dbc', 3);
+    const sectors = [
+        Buffer.concat([Buffer.from([0x10]), SPELL_SECTOR_BZIP2]),
+        Buffer.concat([Buffer.from([0x02]), zlib.deflateSync(SPELL_DATA.subarray(512))])
+    ];
+    const offsets = Buffer.alloc(12);
+    offsets.writeUInt32LE(12, 0);
+    offsets.writeUInt32LE(12 + sectors[0].length, 4);
+    offsets.writeUInt32LE(12 + sectors[0].length + sectors[1].length, 8);
+    encryptBlock(offsets, (key - 1) >>> 0);
+    sectors.forEach((sector, i) => encryptBlock(sector, (key + i) >>> 0));
+
+    return {
+        name: 'DBFilesClient\\Spell.dbc',
+        data: Buffer.concat([offsets, ...sectors]),
+        fileSize: SPELL_DATA.length,
+        flags: FILE_COMPRESS | FILE_ENCRYPTED
+    };
+}
+
+function plainFile(name, text, locale = 0) {
+    return { name, locale, data: Buffer.from(text), flags: FILE_SINGLE_UNIT };
+}
+
+function withDataFolder(run) {
+    const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mpq-test-'));
+    try {
+        fs.mkdirSync(path.join(dataPath, 'deDE'));
+        fs.writeFileSync(path.join(dataPath, 'common.MPQ'), buildArchive([
+            plainFile('(listfile)', 'DBFilesClient\\Spell.dbc\r\nDBFilesClient\\Item.dbc\r\n'),
+            spellFile(),
+            plainFile('DBFilesClient\\Item.dbc', 'neutral'),
+            plainFile('DBFilesClient\\Item.dbc', 'deDE', 0x407)
+        ]));
+        run(dataPath);
+    } finally {
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    }
+}
+
+test('bzip2 decodes a known stream', () => {
+    assert.deepStrictEqual(decompressBzip2(SPELL_SECTOR_BZIP2), SPELL_DATA.subarray(0, 512));
+});
+
+test('reads encrypted multi-sector files with bzip2 and zlib sectors', () => {
+    withDataFolder(dataPath => {
+        const archive = new MpqArchive(path.join(dataPath, 'common.MPQ'));
+        try {
+            assert.deepStrictEqual(archive.readFile('DBFilesClient/spell.dbc'), SPELL_DATA);
+            assert.deepStrictEqual(archive.listFiles(), ['DBFilesClient\\Spell.dbc', 'DBFilesClient\\Item.dbc']);
+            assert.strictEqual(archive.readFile('DBFilesClient\\Missing.dbc'), null);
+        } finally {
+            archive.close();
+        }
+    });
+});
+
+test('prefers the client locale, then the locale-neutral file', () => {
+    withDataFolder(dataPath => {
+        for (const [locale, expected] of [['deDE', 'deDE'], ['enUS', 'neutral'], [null, 'neutral']]) {
+            const archive = new MpqArchive(path.join(dataPath, 'common.MPQ'), locale);
+            try {
+                assert.strictEqual(archive.readFile('DBFilesClient\\Item.dbc').toString(), expected);
+            } finally {
+                archive.close();
+            }
+        }
+
+        const client = openClientData(dataPath);
+        try {
+            assert.strictEqual(client.locale, 'deDE');
+            assert.strictEqual(client.readFile('DBFilesClient\\Item.dbc').data.toString(), 'deDE');
+        } finally {
+            client.close();
+        }
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Enum declarations read from the TSWoW sources
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateEnumValue, parseEnums } = require('../parse-tswow-schemas');
+
+test('evaluates integer initializers like JavaScript', () => {
+    const members = { A: 1, B: 4 };
+    const cases = {
+        '12': 12,
+        '0x10': 16,
+        '1 << 31': -2147483648,
+        '0x80000000': 0x80000000,
+        '~0': -1,
+        '-5': -5,
+        '- -3': 3,
+        'A | B': 5,
+        '(A | B) << 2': 20,
+        '1 << 2 | 1': 5,
+        'A + B * 2': 9,
+        '0xff & ~B': 0xfb,
+        '8 >> 1 ^ 1': 5
+    };
+    for (const [expression, expected] of Object.entries(cases)) {
+        assert.strictEqual(evaluateEnumValue(expression, members), expected, expression);
+    }
+});
+
+test('rejects anything but integer expressions', () => {
+    for (const expression of ['"x"', 'C', 'constructor', 'toString', '1 +', '(1', '1)', '1.5', 'A.B', 'f()', '']) {
+        assert.strictEqual(evaluateEnumValue(expression, { A: 1 }), null, expression);
+    }
+});
+
+test('numbers members after earlier ones and stops at string members', () => {
+    const enums = parseEnums(`
+        export enum SpellAttr0 {
+            UNK0 = 0x1,
+            RANGED = UNK0 << 1, // the second bit
+            /* 1 << 31 */ CANT_CANCEL = 1 << 31,
+        }
+        export const enum DispelType { NONE, MAGIC, CURSE = 4, DISEASE, ALL = -1, AFTER }
+        declare enum Mixed { FIRST = 3, LABEL = "label", LATER = 5 }
+        enum Strings { A = "a" }
+    `);
+
+    assert.deepStrictEqual(enums, {
+        SpellAttr0: { UNK0: 1, RANGED: 2, CANT_CANCEL: -2147483648 },
+        DispelType: { NONE: 0, MAGIC: 1, CURSE: 4, DISEASE: 5, ALL: -1, AFTER: 0 },
+        Mixed: { FIRST: 3 }
+    });
+});
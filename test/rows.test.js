@@ -0,0 +1,112 @@
+/**
+ * A DBC read into table rows and written back must give the same bytes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readDbc, writeDbc } = require('../lib/rows');
+const { withUnknownFields } = require('../lib/schemas');
+const { lossyExportOptions, recordLoss, exportOptionsKey } = require('../lib/export');
+
+// Two byte fields share their 4 bytes with padding, and the 4 bytes at offset 8 have no field
+const SCHEMA = {
+    name: 'Sample',
+    totalFields: 22,
+    fields: [
+        { name: 'ID', type: 'int', offset: 0, isArray: false, count: 1, cellType: 'DBCKeyCell', bytesPerField: 4, fieldIndex: 0 },
+        { name: 'Flags', type: 'byte', offset: 4, isArray: false, count: 1, cellType: 'DBCByteCell', bytesPerField: 1, fieldIndex: 1 },
+        { name: 'Level', type: 'byte', offset: 5, isArray: false, count: 1, cellType: 'DBCByteCell', bytesPerField: 1, fieldIndex: 1 },
+        { name: 'Name', type: 'string', offset: 12, isArray: true, count: 17, cellType: 'DBCLocCell', bytesPerField: 4, fieldIndex: 3 },
+        { name: 'Scale', type: 'float', offset: 80, isArray: false, count: 1, cellType: 'DBCFloatCell', bytesPerField: 4, fieldIndex: 20 },
+        { name: 'Mask', type: 'int', offset: 84, isArray: false, count: 1, cellType: 'DBCUIntCell', bytesPerField: 4, fieldIndex: 21 }
+    ]
+};
+const RECORD_SIZE = 88;
+
+// "Fireball" is used by two records and stored once, as the client's files do
+const STRINGS = Buffer.from('\0Fireball\0Feuerball\0Frostbolt\0');
+const FIREBALL = 1;
+const FEUERBALL = 10;
+const FROSTBOLT = 20;
+
+/**
+ * The bytes of a file with IDs 7, 3 and 10, in that order
+ */
+function sampleFile() {
+    const records = [
+        { id: 7, flags: 0x81, level: 60, padding: 0xbeef, unknown: -5, names: { 0: FIREBALL, 3: FEUERBALL }, localeFlags: 0xff01fe, scale: 0.1, mask: 0xffffffff },
+        { id: 3, flags: 0, level: 1, padding: 0, unknown: 0x12345678, names: { 0: FIREBALL }, localeFlags: 0x1, scale: 1.5, mask: 0 },
+        { id: 10, flags: 0xff, level: 255, padding: 0xffff, unknown: 0, names: { 0: FROSTBOLT }, localeFlags: 0, scale: -0, mask: 0x80000000 }
+    ];
+
+    const header = Buffer.alloc(20);
+    header.write('WDBC', 0, 'ascii');
+    header.writeInt32LE(records.length, 4);
+    header.writeUInt32LE(SCHEMA.totalFields, 8);
+    header.writeInt32LE(RECORD_SIZE, 12);
+    header.writeInt32LE(STRINGS.length, 16);
+
+    const data = Buffer.alloc(records.length * RECORD_SIZE);
+    records.forEach((record, i) => {
+        const offset = i * RECORD_SIZE;
+        data.writeInt32LE(record.id, offset);
+        data.writeUInt8(record.flags, offset + 4);
+        data.writeUInt8(record.level, offset + 5);
+        data.writeUInt16LE(record.padding, offset + 6);
+        data.writeInt32LE(record.unknown, offset + 8);
+        for (const [locale, stringOffset] of Object.entries(record.names)) data.writeInt32LE(stringOffset, offset + 12 + (locale * 4));
+        data.writeUInt32LE(record.localeFlags, offset + 76);
+        data.writeFloatLE(record.scale, offset + 80);
+        data.writeUInt32LE(record.mask, offset + 84);
+    });
+
+    return Buffer.concat([header, data, STRINGS]);
+}
+
+function withSampleFile(run) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'rows-test-'));
+    try {
+        const filePath = path.join(folder, 'Sample.dbc');
+        fs.writeFileSync(filePath, sampleFile());
+        run(filePath);
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+}
+
+test('rows read with --all-locales and unk_ columns write back the same bytes', () => {
+    withSampleFile(filePath => {
+        const tableSchema = withUnknownFields(SCHEMA, RECORD_SIZE);
+        const { records } = readDbc(filePath, tableSchema, { allLocales: true });
+
+        assert.deepStrictEqual(records.map(record => record.ID), [7, 3, 10]);
+        assert.strictEqual(records[0].unk_1, 0xbeef0000);
+        assert.strictEqual(records[0].unk_2, -5);
+        assert.strictEqual(records[0].Name_deDE, 'Feuerball');
+        assert.strictEqual(records[0].Name_flags, 0xff01fe);
+        assert.deepStrictEqual(writeDbc(records, tableSchema), sampleFile());
+    });
+});
+
+test('unsorted IDs and dropped duplicates are reported as lost', () => {
+    withSampleFile(filePath => {
+        const { records } = readDbc(filePath, withUnknownFields(SCHEMA, RECORD_SIZE), { allLocales: true });
+        assert.strictEqual(recordLoss(records).length, 1);
+
+        const sorted = [...records].sort((a, b) => a.ID - b.ID);
+        assert.deepStrictEqual(recordLoss(sorted), []);
+        assert.strictEqual(recordLoss(sorted, [3]).length, 1);
+    });
+});
+
+test('options that leave data out are reported as lossy', () => {
+    withSampleFile(filePath => {
+        const { records } = readDbc(filePath, SCHEMA);
+        assert.notDeepStrictEqual(writeDbc(records, SCHEMA), sampleFile());
+        assert.strictEqual(lossyExportOptions(exportOptionsKey({ unknownFields: false }), SCHEMA).length, 2);
+        assert.deepStrictEqual(lossyExportOptions(exportOptionsKey({ allLocales: true }), SCHEMA), []);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Exports into an in-memory SQLite database
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DbcFile } = require('../lib/dbc-file');
+const { exportDbc } = require('../lib/export');
+const { sqliteBackend } = require('../lib/backends/sqlite');
+
+let skip = false;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    skip = 'better-sqlite3 is not installed';
+}
+
+const SCHEMA = {
+    name: 'Sample',
+    totalFields: 4,
+    fields: [
+        { name: 'ID', type: 'int', offset: 0, isArray: false, count: 1, cellType: 'DBCKeyCell', bytesPerField: 4, fieldIndex: 0 },
+        { name: 'Scale', type: 'float', offset: 4, isArray: false, count: 1, cellType: 'DBCFloatCell', bytesPerField: 4, fieldIndex: 1 },
+        { name: 'Mask', type: 'ulong', offset: 8, isArray: false, count: 1, cellType: 'DBCULongCell', bytesPerField: 8, fieldIndex: 2 }
+    ]
+};
+
+function writeSample(folder, scales) {
+    const records = scales.map((scale, i) => [[i + 1], [scale], [BigInt.asUintN(64, BigInt(-i))]]);
+    fs.writeFileSync(path.join(folder, 'Sample.dbc'), DbcFile.fromFieldValues(records, SCHEMA).toBuffer());
+}
+
+// exportDbc reports progress on the console
+async function quietly(run) {
+    const { log, warn, error } = console;
+    const write = process.stdout.write;
+    console.log = console.warn = console.error = () => {};
+    process.stdout.write = () => true;
+    try {
+        return await run();
+    } finally {
+        Object.assign(console, { log, warn, error });
+        process.stdout.write = write;
+    }
+}
+
+async function withBackend(run) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-test-'));
+    const backend = sqliteBackend(':memory:');
+    try {
+        await run(backend, folder);
+    } finally {
+        await backend.close();
+        fs.rmSync(folder, { recursive: true, force: true });
+    }
+}
+
+async function upsert(backend, folder) {
+    const exportState = await backend.useDatabase('dbc');
+    return quietly(() => exportDbc(backend, 'Sample', SCHEMA, folder, 'dbc', { exportState, upsert: true, force: true }));
+}
+
+test('upserting an unchanged file changes no rows', { skip }, async () => {
+    await withBackend(async (backend, folder) => {
+        writeSample(folder, [0.1, -0, 3.5]);
+        assert.strictEqual((await upsert(backend, folder)).records, 3);
+
+        const result = await upsert(backend, folder);
+        assert.deepStrictEqual([result.added, result.changed, result.removed], [0, 0, 0]);
+    });
+});
+
+test('NaN and infinite floats fail the export instead of becoming NULL', { skip }, async () => {
+    await withBackend(async (backend, folder) => {
+        writeSample(folder, [1, 2]);
+        await upsert(backend, folder);
+
+        for (const scale of [NaN, Infinity]) {
+            writeSample(folder, [1, scale]);
+            const result = await upsert(backend, folder);
+            assert.strictEqual(result.success, false);
+            assert.match(result.error, /^ID 2, column Scale: (NaN|Infinity) can't be stored/);
+        }
+
+        const records = [{ ID: 1, Scale: NaN, Mask: 0n }];
+        await assert.rejects(backend.upsertRows('sample', SCHEMA, records, {}), /NaN can't be stored in SQLite/);
+    });
+});
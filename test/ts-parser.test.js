@@ -0,0 +1,70 @@
+/**
+ * Reads a TSWoW DBC definition with the TypeScript tokenizer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tokenizeTypeScript, splitArguments, parseNewExpression, findClassGetters } = require('../lib/ts-parser');
+const { parseDbcSchema } = require('../lib/dbc-definitions');
+
+const SPELL_TS = path.join(__dirname, 'fixtures', 'Spell.ts');
+
+const argumentTexts = source => splitArguments(tokenizeTypeScript(source)).map(arg => arg.map(token => token.value).join(''));
+
+test('type arguments are kept together, comparisons and shifts are not', () => {
+    assert.deepStrictEqual(argumentTexts('this, Map<string, Array<number>>, f<A, B>(x)'), ['this', 'Map<string,Array<number>>', 'f<A,B>(x)']);
+    assert.deepStrictEqual(argumentTexts('a < b, c > d, e'), ['a<b', 'c>d', 'e']);
+    assert.deepStrictEqual(argumentTexts('x >> 1, y << 2, this.buffer'), ['x>>1', 'y<<2', 'this.buffer']);
+    assert.deepStrictEqual(argumentTexts('(a, b) => a < b, value => value > 1, z'), ['(a,b)=>a<b', 'value=>value>1', 'z']);
+
+    const expression = parseNewExpression(tokenizeTypeScript('return new DBCPointerCell<Ref<SpellRow, SpellQuery>, Other>(this, this.buffer, this.offset + 4);'));
+    assert.deepStrictEqual(expression.typeArguments, ['Ref<SpellRow,SpellQuery>', 'Other']);
+    assert.strictEqual(expression.args.length, 3);
+});
+
+test('getters come with their JSDoc text, without tags and placeholders', () => {
+    const [spellRow] = findClassGetters(fs.readFileSync(SPELL_TS, 'utf8'), 'DBCRow');
+    assert.strictEqual(spellRow.name, 'SpellRow');
+    assert.deepStrictEqual(spellRow.getters.map(getter => getter.name), [
+        'ID', 'Category', 'DispelType', 'Attributes', 'SpellIconID', 'EffectDieSides', 'Name', 'MaxLevel', 'SchoolMask', 'Creator'
+    ]);
+
+    const schema = parseDbcSchema(SPELL_TS, 'Spell');
+    const field = name => schema.fields.find(f => f.name === name);
+    assert.strictEqual(field('ID').description, 'Primary Key');
+    assert.strictEqual(field('Category').description, undefined);
+    assert.strictEqual(field('DispelType').description, 'Spells with the same dispel type are removed together.\nMagic is the default.');
+});
+
+test('cells map to fields with their offsets and type arguments', () => {
+    const schema = parseDbcSchema(SPELL_TS, 'Spell');
+    const layout = schema.fields.map(field => [field.name, field.type, field.offset, field.count]);
+    assert.deepStrictEqual(layout, [
+        ['ID', 'int', 0, 1],
+        ['Category', 'int', 4, 1],
+        ['DispelType', 'int', 8, 1],
+        ['Attributes', 'int', 12, 1],
+        ['SpellIconID', 'int', 16, 1],
+        ['EffectDieSides', 'int', 20, 3],
+        ['Name', 'string', 32, 17]
+    ]);
+    assert.strictEqual(schema.totalFields, 25);
+
+    const field = name => schema.fields.find(f => f.name === name);
+    assert.deepStrictEqual([field('DispelType').enumType, field('DispelType').enumKind], ['SpellDispelType', 'enum']);
+    assert.deepStrictEqual([field('Attributes').enumType, field('Attributes').enumKind], ['SpellAttr0', 'flags']);
+    assert.strictEqual(field('SpellIconID').pointsTo, 'SpellIcon');
+});
+
+test('getters that are not plain cells are reported as unmapped', () => {
+    const unmapped = [];
+    parseDbcSchema(SPELL_TS, 'Spell', unmapped);
+    assert.deepStrictEqual(unmapped.map(entry => [entry.getter, entry.error]), [
+        ['MaxLevel', 'DBCUIntCell size is not a number'],
+        ['SchoolMask', 'DBCUIntCell offset is not this.offset+N'],
+        ['Creator', 'body is not `return new <Cell>(...)`']
+    ]);
+    assert.ok(unmapped.every(entry => entry.dbc === 'Spell' && entry.file === SPELL_TS && entry.line > 0));
+});
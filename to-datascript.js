@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Generate a TSWoW datascript that creates or edits a DBC row like an existing record
+ * Usage: node to-datascript.js <dbc-name> <id> [--source SOURCE] [--module NAME] [--base ID] [--base-source SOURCE]
+ *        [--new-id ID] [--edit] [--out FILE]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    loadConfig,
+    loadSchemas,
+    loadModuleSchemas,
+    getModulePaths,
+    DbcFile,
+    toDatascript
+} = require('./lib');
+
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node to-datascript.js <dbc-name> <id> [options]');
+    console.log('');
+    console.log('Prints a datascript using the raw row API (DBC.Spell.add(...).Field.set(...)) that');
+    console.log('recreates the record, with the field names from dbc-schemas.json and the module\'s own schemas.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --source TYPE       Folder to read the record from: "dbc" or "dbc_source" (default: dbc_source)');
+    console.log('  --module NAME       Module name (uses "module" from config.json if not specified)');
+    console.log('  --new-id ID         ID of the created row (default: the record\'s ID)');
+    console.log('  --base ID           Clone this row instead of adding an empty one, and only set the fields that differ');
+    console.log('  --base-source TYPE  Folder to read the base record from (default: same as --source)');
+    console.log('  --edit              Edit the existing row with the record\'s ID (or --new-id) instead of creating one;');
+    console.log('                      with --base, only fields that differ from the base record are set');
+    console.log('  --out FILE          Write the datascript to FILE instead of stdout');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node to-datascript.js Spell 133 --new-id 80903');
+    console.log('  node to-datascript.js Spell 80902 --source dbc --base 133 --base-source dbc_source');
+    console.log('  node to-datascript.js Spell 133 --source dbc --edit --base 133 --base-source dbc_source --out ./datascripts/fireball.ts');
+    process.exit(0);
+}
+
+function optionValue(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+function optionInt(name) {
+    const value = optionValue(name);
+    if (value === null) return null;
+    if (!/^-?\d+$/.test(value)) {
+        console.error(`Error: ${name} must be an integer`);
+        process.exit(1);
+    }
+    return parseInt(value);
+}
+
+const dbcName = args[0];
+const id = /^-?\d+$/.test(args[1] || '') ? parseInt(args[1]) : null;
+const sourceType = optionValue('--source') || 'dbc_source';
+const baseSource = optionValue('--base-source') || sourceType;
+const newId = optionInt('--new-id');
+const baseId = optionInt('--base');
+const edit = args.includes('--edit');
+const outFile = optionValue('--out');
+
+if (dbcName.startsWith('--') || id === null) {
+    console.error('Error: a DBC name and a record ID are required');
+    process.exit(1);
+}
+
+if (![sourceType, baseSource].every(source => ['dbc', 'dbc_source'].includes(source))) {
+    console.error('Error: --source and --base-source must be "dbc" or "dbc_source"');
+    process.exit(1);
+}
+
+let schemas;
+let config;
+try {
+    config = loadConfig();
+    // Custom and patched DBC layouts of the module (datascripts, dbc-schemas.override.json)
+    ({ schemas } = loadModuleSchemas(config, optionValue('--module') || config.module, loadSchemas()));
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error.hint) console.error(error.hint);
+    process.exit(1);
+}
+
+const schema = schemas[dbcName];
+if (!schema) {
+    console.error(`Error: No schema found for ${dbcName}`);
+    process.exit(1);
+}
+
+const idField = schema.fields.find(field => field.name === 'ID');
+if (!idField) {
+    console.error(`Error: ${dbcName} has no ID field; datascripts address rows by ID`);
+    process.exit(1);
+}
+
+const moduleName = optionValue('--module') || config.module;
+const paths = getModulePaths(config, moduleName);
+
+/**
+ * Cell values of the record with the given ID in <source>/<dbcName>.dbc
+ */
+function readRecordById(source, recordId) {
+    const dbcFilePath = path.join(source === 'dbc' ? paths.dbcPath : paths.dbcSourcePath, `${dbcName}.dbc`);
+    if (!fs.existsSync(dbcFilePath)) {
+        console.error(`Error: DBC file not found: ${dbcFilePath}`);
+        process.exit(1);
+    }
+
+    const file = DbcFile.read(dbcFilePath);
+    for (let i = 0; i < file.recordCount; i++) {
+        if (file.readValue(file.recordOffset(i) + idField.offset, 'int') === recordId) return file.readRecord(i, schema);
+    }
+    console.error(`Error: No ${dbcName} record with ID ${recordId} in ${source}`);
+    process.exit(1);
+}
+
+const fieldValues = readRecordById(sourceType, id);
+const baseValues = baseId !== null ? readRecordById(baseSource, baseId) : null;
+
+const script = toDatascript(schema, fieldValues, {
+    id: newId,
+    edit,
+    baseId,
+    baseValues,
+    baseLabel: `${baseSource}/${dbcName}.dbc ID ${baseId}`,
+    comment: `Generated by to-datascript.js from ${moduleName} ${sourceType}/${dbcName}.dbc ID ${id}`
+});
+
+if (outFile) {
+    fs.mkdirSync(path.dirname(path.resolve(outFile)), { recursive: true });
+    fs.writeFileSync(outFile, script);
+    console.error(`✓ Wrote ${outFile}`);
+} else {
+    process.stdout.write(script);
+}